@@ -13,20 +13,30 @@
 
 'use strict';
 
+const {EventEmitter} = require('events');
 const util = require('./util');
+const {Clock} = require('./clock');
+const {Mocker} = require('./mock');
 
 const {
   assert,
   get,
+  immediate,
   nextTick,
   isPromise,
   inject,
   restore,
   stackError,
+  callSite,
   noop,
   castArray,
+  hash,
+  shuffle,
   indent,
   singlify,
+  formatTitle,
+  isTag,
+  parseTags,
   escape,
   clean,
   toError,
@@ -38,7 +48,9 @@ const {
   isShowable,
   show,
   inspect,
-  why
+  why,
+  trackHandles,
+  storage
 } = util;
 
 /*
@@ -46,6 +58,7 @@ const {
  */
 
 const {
+  AbortController,
   Array,
   Boolean,
   clearTimeout,
@@ -58,7 +71,8 @@ const {
   RegExp,
   setTimeout,
   String,
-  TypeError
+  TypeError,
+  WeakMap
 } = global;
 
 /*
@@ -104,6 +118,7 @@ const colors = {
   green: 32,
   medium: 33,
   pending: 36,
+  todo: 35,
   light: 90,
   fast: 90,
   stack: 90,
@@ -145,8 +160,34 @@ const symbolsWindows = {
   close: ']'
 };
 
+const interfaces = [
+  'bdd',
+  'tdd',
+  'qunit',
+  'exports'
+];
+
+const randomModes = [
+  'files',
+  'suites',
+  'tests'
+];
+
+const shardStrategies = [
+  'files',
+  'tests',
+  'timing'
+];
+
+const handleModes = [
+  'fail',
+  'warn'
+];
+
 const PENDING = new Error('pending');
 
+const wrapped = new WeakMap();
+
 /**
  * Runnable
  */
@@ -166,10 +207,16 @@ class Runnable {
     this.retries = 0;
     this.skippable = false;
     this.skip = false;
+    this.reason = null;
+    this.tags = [];
     this.only = false;
+    this.concurrent = false;
     this.running = false;
     this.stats = null;
     this.context = null;
+    this.file = null;
+    this.location = null;
+    this.cleanups = [];
   }
 
   get duration() {
@@ -180,6 +227,10 @@ class Runnable {
     return this.stats.elapsed;
   }
 
+  get signal() {
+    return null;
+  }
+
   get speed() {
     if (this.duration > this.slow)
       return 'slow';
@@ -207,6 +258,49 @@ class Runnable {
   fullTitle() {
     return this.titlePath().join(' ');
   }
+
+  defer(func) {
+    assert(typeof func === 'function');
+    this.cleanups.push(func);
+    return this;
+  }
+
+  cleanup() {
+    // Undo in reverse so that stacked
+    // replacements unwind correctly.
+    while (this.cleanups.length > 0) {
+      const func = this.cleanups.pop();
+      func();
+    }
+
+    return this;
+  }
+
+  setOptions(options, start) {
+    if (options == null)
+      return this;
+
+    if (typeof options !== 'object')
+      throw stackError(start, 'Options must be an object.');
+
+    if (options.tags != null) {
+      const tags = Array.isArray(options.tags)
+        ? options.tags
+        : [options.tags];
+
+      for (const tag of tags) {
+        if (!isTag(tag))
+          throw stackError(start, `Invalid tag: ${tag}.`);
+
+        const name = tag.replace(/^@/, '');
+
+        if (!this.tags.includes(name))
+          this.tags.push(name);
+      }
+    }
+
+    return this;
+  }
 }
 
 /**
@@ -231,7 +325,10 @@ class Mocha extends Runnable {
     this.retries = 0;
     this.skippable = false;
     this.skip = false;
+    this.reason = null;
+    this.tags = [];
     this.only = false;
+    this.concurrent = false;
     this.running = false;
     this.stats = new Stats();
     this.context = new MochaContext(this);
@@ -243,10 +340,14 @@ class Mocha extends Runnable {
     this.checkLeaks = false;
     this.colors = false;
     this.delay = false;
+    this.detectOpenHandles = null;
     this.diff = true;
     this.dryRun = false;
+    this.excludeTag = [];
     this.exit = this._exit.bind(this);
+    this.failLate = false;
     this.failZero = false;
+    this.failed = null;
     this.fgrep = '';
     this.forbidOnly = false;
     this.forbidPending = false;
@@ -255,15 +356,26 @@ class Mocha extends Runnable {
     this.globals = [];
     this.grep = null;
     this.invert = false;
+    this.lines = null;
+    this.sources = new Map();
+    this.maxConcurrency = 5;
     this.notify = null;
+    this.random = null;
     this.reporter = 'spec';
     this.reporterOptions = Object.create(null);
+    this.reporters = [];
     this.retries;
+    this.seed = null;
+    this.shard = null;
     this.slow;
+    this.snapshots = null;
     this.stream = new Stream();
     this.swallow = true;
+    this.tag = [];
     this.timeout;
     this.timeouts;
+    this.ui = 'bdd';
+    this.warnLate = false;
     this.why = false;
     this.windows = false;
 
@@ -285,11 +397,17 @@ class Mocha extends Runnable {
     this.afterEaches = [];
     this.results = [];
     this.errors = [];
+    this.lateHooks = [];
     this.test = null;
+    this.storage = storage();
+    this.clock = new Clock();
     this.uncatcher = null;
     this.aborters = [];
+    this.jobs = new Set();
+    this.tracker = null;
     this.runCalled = false;
     this.runResolve = null;
+    this.tagFilter = null;
 
     // API
     this.before = this._before.bind(this);
@@ -298,6 +416,7 @@ class Mocha extends Runnable {
     this.afterEach = this._afterEach.bind(this);
     this.describe = this._describe.bind(this);
     this.it = this._it.bind(this);
+    this.module = this._module.bind(this);
     this.doRun = this._doRun.bind(this);
 
     this.init();
@@ -305,15 +424,59 @@ class Mocha extends Runnable {
   }
 
   init() {
-    for (const method of [this.describe, this.it]) {
-      method.only = function only(title, func) {
-        return method(title, func, 'only', only);
+    const self = this;
+
+    for (const type of ['describe', 'it']) {
+      const method = this[type];
+
+      method.only = function only(title, ...args) {
+        return self._define(type, title, args, 'only', only);
+      };
+
+      method.skip = function skip(title, ...args) {
+        return self._define(type, title, args, 'skip', skip);
+      };
+
+      method.skipIf = function skipIf(cond, reason = null) {
+        return self._when(type, Boolean(cond), reason, skipIf);
+      };
+
+      method.runIf = function runIf(cond, reason = null) {
+        return self._when(type, !cond, reason, runIf);
+      };
+
+      method.concurrent = function concurrent(title, ...args) {
+        return self._define(type, title, args, 'concurrent', concurrent);
+      };
+
+      method.each = function each(table) {
+        return self._each(type, table, null, each);
       };
 
-      method.skip = function skip(title, func) {
-        return method(title, func, 'skip', skip);
+      method.only.each = function each(table) {
+        return self._each(type, table, 'only', each);
+      };
+
+      method.skip.each = function each(table) {
+        return self._each(type, table, 'skip', each);
       };
     }
+
+    this.it.todo = function todo(title, options) {
+      return self._define('it', title, [options], 'todo', todo);
+    };
+
+    this.it.fails = function fails(title, ...args) {
+      return self._define('it', title, args, 'fails', fails);
+    };
+
+    this.module.only = (title) => {
+      return this._module(title, 'only', this.module.only);
+    };
+
+    this.module.skip = (title) => {
+      return this._module(title, 'skip', this.module.skip);
+    };
   }
 
   set(options) {
@@ -348,18 +511,54 @@ class Mocha extends Runnable {
     if (options.delay != null)
       this.delay = Boolean(options.delay);
 
+    if (options.detectOpenHandles != null) {
+      let mode = options.detectOpenHandles;
+
+      if (typeof mode === 'boolean')
+        mode = mode ? 'fail' : null;
+
+      if (mode != null && !handleModes.includes(mode))
+        throw new Error(`Invalid open handle mode: ${mode}.`);
+
+      this.detectOpenHandles = mode;
+    }
+
     if (options.diff != null)
       this.diff = Boolean(options.diff);
 
     if (options.dryRun != null)
       this.dryRun = Boolean(options.dryRun);
 
+    if (options.excludeTag != null) {
+      assert(Array.isArray(options.excludeTag));
+      this.excludeTag = options.excludeTag.map(String);
+    }
+
     if (typeof options.exit === 'function')
       this.exit = options.exit;
 
+    if (options.failLate != null)
+      this.failLate = Boolean(options.failLate);
+
     if (options.failZero != null)
       this.failZero = Boolean(options.failZero);
 
+    if (options.failed != null) {
+      assert(Array.isArray(options.failed));
+
+      this.failed = options.failed.map((entry) => {
+        assert(entry && typeof entry === 'object');
+        assert(entry.file == null || typeof entry.file === 'string');
+        assert(Array.isArray(entry.titlePath));
+
+        return {
+          file: entry.file != null ? entry.file : null,
+          titlePath: entry.titlePath.map(String),
+          type: entry.type === 'suite' ? 'suite' : 'test'
+        };
+      });
+    }
+
     if (options.fgrep != null)
       this.fgrep = String(options.fgrep);
 
@@ -384,11 +583,55 @@ class Mocha extends Runnable {
     if (options.invert != null)
       this.invert = Boolean(options.invert);
 
+    if (options.lines != null) {
+      assert(Array.isArray(options.lines));
+
+      this.lines = options.lines.map((entry) => {
+        assert(entry && typeof entry === 'object');
+        assert(typeof entry.file === 'string');
+        assert((entry.line >>> 0) === entry.line && entry.line > 0);
+        assert(entry.column == null || (entry.column >>> 0) === entry.column);
+        assert(entry.name == null || typeof entry.name === 'string');
+
+        return {
+          file: entry.file,
+          line: entry.line,
+          column: entry.column || 0,
+          name: entry.name || null
+        };
+      });
+    }
+
+    if (options.maxConcurrency != null) {
+      if ((options.maxConcurrency >>> 0) === 0)
+        throw new Error('Invalid max concurrency.');
+
+      this.maxConcurrency = options.maxConcurrency >>> 0;
+    }
+
     if (typeof options.notify === 'function')
       this.notify = options.notify;
 
-    if (options.reporter != null)
-      this.reporter = Base.get(options.reporter).id;
+    if (options.random != null) {
+      let mode = options.random;
+
+      if (typeof mode === 'boolean')
+        mode = mode ? 'tests' : null;
+
+      if (mode != null && !randomModes.includes(mode))
+        throw new Error(`Invalid random mode: ${mode}.`);
+
+      this.random = mode;
+    }
+
+    if (options.reporter != null) {
+      const Reporter = Base.get(options.reporter);
+
+      // Keep custom reporter classes around.
+      this.reporter = typeof options.reporter === 'string'
+        ? Reporter.id
+        : Reporter;
+    }
 
     if (options.reporterOptions != null) {
       assert(options.reporterOptions);
@@ -396,12 +639,43 @@ class Mocha extends Runnable {
       this.reporterOptions = options.reporterOptions;
     }
 
+    if (Array.isArray(options.reporters))
+      this.reporters = options.reporters.map(item => this._reporter(item));
+
     if (options.retries != null)
       this.retries = options.retries >>> 0;
 
+    if (options.seed != null)
+      this.seed = options.seed >>> 0;
+
+    // Pick a seed so the order can be replayed.
+    if (this.random && this.seed == null)
+      this.seed = (Math.random() * 0x100000000) >>> 0;
+
+    if (options.shard != null) {
+      const {index, total} = options.shard;
+      const strategy = options.shard.strategy || 'files';
+
+      assert((index >>> 0) === index);
+      assert((total >>> 0) === total);
+
+      if (total === 0 || index === 0 || index > total)
+        throw new Error(`Invalid shard: ${index}/${total}.`);
+
+      if (!shardStrategies.includes(strategy))
+        throw new Error(`Invalid shard strategy: ${strategy}.`);
+
+      this.shard = { index, total, strategy };
+    }
+
     if (options.slow != null)
       this.slow = options.slow >>> 0;
 
+    if (options.snapshots != null) {
+      assert(typeof options.snapshots.match === 'function');
+      this.snapshots = options.snapshots;
+    }
+
     if (options.stream != null) {
       assert(typeof options.stream.write === 'function');
 
@@ -414,12 +688,30 @@ class Mocha extends Runnable {
     if (options.swallow != null)
       this.swallow = Boolean(options.swallow);
 
+    if (options.tag != null) {
+      assert(Array.isArray(options.tag));
+      this.tag = options.tag.map(String);
+    }
+
+    if (options.tag != null || options.excludeTag != null)
+      this.tagFilter = this._tagFilter();
+
     if (options.timeout != null)
       this.timeout = options.timeout >>> 0;
 
     if (options.timeouts != null)
       this.timeouts = Boolean(options.timeouts);
 
+    if (options.ui != null) {
+      if (!interfaces.includes(options.ui))
+        throw new Error(`Invalid interface: ${options.ui}.`);
+
+      this.ui = options.ui;
+    }
+
+    if (options.warnLate != null)
+      this.warnLate = Boolean(options.warnLate);
+
     if (options.why != null)
       this.why = Boolean(options.why);
 
@@ -464,19 +756,202 @@ class Mocha extends Runnable {
     return this._suite().afterEach(desc, func, this._afterEach);
   }
 
-  _describe(title, func, action) {
-    return this._suite().describe(title, func, action, this._describe);
+  _describe(title, ...args) {
+    return this._define('describe', title, args, null, this._describe);
   }
 
-  _it(title, func, action) {
-    return this._suite().it(title, func, action, this._it);
+  _it(title, ...args) {
+    return this._define('it', title, args, null, this._it);
   }
 
-  globalize() {
-    if (!this.global)
-      return null;
+  _define(type, title, args, action, start, reason = null) {
+    assert(type === 'describe' || type === 'it');
+    assert(Array.isArray(args));
+    assert(typeof start === 'function');
+
+    let options = null;
+
+    // Options may precede the callback:
+    // `it(title, { tags: [...] }, func)`.
+    if (args[0] != null && typeof args[0] === 'object')
+      [options, ...args] = args;
+
+    const [func] = args;
+
+    if (action === 'skip' && reason == null)
+      reason = args[1];
+
+    const suite = this._suite();
+
+    if (type === 'describe')
+      return suite.describe(title, func, action, start, reason, options);
+
+    return suite.it(title, func, action, start, reason, options);
+  }
+
+  _when(type, skip, reason, start) {
+    assert(typeof type === 'string');
+    assert(typeof skip === 'boolean');
+    assert(typeof start === 'function');
+
+    if (reason != null && typeof reason !== 'string')
+      throw stackError(start, 'Skip reason must be a string.');
+
+    const when = (title, ...args) => {
+      if (skip)
+        return this._define(type, title, args, 'skip', when, reason);
+
+      return this._define(type, title, args, null, when);
+    };
+
+    return when;
+  }
+
+  _each(type, table, action, start) {
+    assert(typeof type === 'string');
+    assert(typeof start === 'function');
+
+    if (!Array.isArray(table) || table.length === 0)
+      throw stackError(start, 'Must provide a non-empty table for each.');
+
+    const each = (title, options, func) => {
+      if (typeof options === 'function')
+        [options, func] = [null, options];
+
+      if (typeof title !== 'string')
+        throw stackError(each, 'Must provide a title for each.');
+
+      if (typeof func !== 'function')
+        throw stackError(each, 'Must provide a callback for each.');
+
+      const contexts = [];
 
-    return inject(global, {
+      for (let i = 0; i < table.length; i++) {
+        const row = table[i];
+        const args = Array.isArray(row) ? row : [row];
+        const name = formatTitle(title, args, i);
+
+        // Preserve the arity so `done` still works.
+        let body;
+
+        if (func.length > args.length) {
+          body = function(done) {
+            return func.call(this, ...args, done);
+          };
+        } else {
+          body = function() {
+            return func.call(this, ...args);
+          };
+        }
+
+        // Doc reporters print the original body.
+        body.toString = () => func.toString();
+
+        const params = options != null ? [options, body] : [body];
+
+        contexts.push(this._define(type, name, params, action, each));
+      }
+
+      return contexts;
+    };
+
+    return each;
+  }
+
+  _module(title, action, start) {
+    if (typeof start !== 'function')
+      start = this._module;
+
+    // Ensure we're initializing.
+    this._suite();
+
+    // QUnit-style suites are flat: every call
+    // to `suite()` starts a new suite off of
+    // the root and subsequent tests go there.
+    const ctx = this.suite.describe(title, noop, action, start);
+
+    this.current = ctx.runnable;
+
+    return ctx;
+  }
+
+  _exports(obj, suite = this.suite) {
+    assert(suite instanceof Suite);
+
+    if (obj == null || typeof obj !== 'object')
+      return this;
+
+    for (const key of Object.keys(obj)) {
+      const value = obj[key];
+
+      if (typeof value === 'function') {
+        switch (key) {
+          case 'before':
+            suite.before(null, value, this._exports);
+            break;
+          case 'after':
+            suite.after(null, value, this._exports);
+            break;
+          case 'beforeEach':
+            suite.beforeEach(null, value, this._exports);
+            break;
+          case 'afterEach':
+            suite.afterEach(null, value, this._exports);
+            break;
+          default:
+            suite.it(key, value, null, this._exports);
+            break;
+        }
+        continue;
+      }
+
+      if (value != null && typeof value === 'object') {
+        const child = new Suite(suite, key, this._exports);
+
+        suite.suites.push(child);
+
+        this._exports(value, child);
+      }
+    }
+
+    return this;
+  }
+
+  api() {
+    // Runner
+    const run = this.delay ? this.doRun : undefined;
+
+    switch (this.ui) {
+      case 'tdd': {
+        return {
+          suiteSetup: this.before,
+          suiteTeardown: this.after,
+          setup: this.beforeEach,
+          teardown: this.afterEach,
+          suite: this.describe,
+          test: this.it,
+          run
+        };
+      }
+
+      case 'qunit': {
+        return {
+          before: this.before,
+          after: this.after,
+          beforeEach: this.beforeEach,
+          afterEach: this.afterEach,
+          suite: this.module,
+          test: this.it,
+          run
+        };
+      }
+
+      case 'exports': {
+        return { run };
+      }
+    }
+
+    return {
       // API
       before: this.before,
       after: this.after,
@@ -490,9 +965,15 @@ class Mocha extends Runnable {
       xit: this.it.skip,
       specify: this.it,
 
-      // Runner
-      run: this.delay ? this.doRun : undefined
-    });
+      run
+    };
+  }
+
+  globalize() {
+    if (!this.global)
+      return null;
+
+    return inject(global, this.api());
   }
 
   unglobalize(snapshot) {
@@ -530,21 +1011,57 @@ class Mocha extends Runnable {
     return this;
   }
 
+  runningTest() {
+    const test = this.storage.getStore();
+
+    // Concurrent tests don't occupy the `test`
+    // slot. We find them by async context.
+    if (test && test.running)
+      return test;
+
+    return this.test;
+  }
+
+  owner() {
+    const runnable = this.runningTest();
+
+    if (!runnable)
+      return null;
+
+    // Hooks prepare something else, so
+    // their mocks live as long as it does.
+    if (runnable instanceof Hook)
+      return runnable.target;
+
+    return runnable;
+  }
+
   reject(error) {
-    if (this.test) {
+    const owner = this.storage.getStore();
+
+    // Work which outlives its test is blamed
+    // on that test, not whichever is running.
+    if (owner && !owner.running && this.running) {
+      this.late(owner, error);
+      return;
+    }
+
+    const test = this.runningTest();
+
+    if (test) {
       // If we have a running test, reject it.
       // This usually means an uncaught exception
       // or an unhandled rejection.
-      if (this.test.job && !this.test.job.done) {
-        this.test.job.reject(error);
+      if (test.job && !test.job.done) {
+        test.job.reject(error);
         return;
       }
 
       // Otherwise, inject into our last test.
       // This is usually triggered by the "multiple
       // resolves" event.
-      if (!this.test.fail) {
-        this.test.setError(toError(error));
+      if (!test.fail) {
+        test.setError(toError(error));
         return;
       }
     }
@@ -555,6 +1072,50 @@ class Mocha extends Runnable {
     this.error(error);
   }
 
+  late(owner, error) {
+    assert(owner instanceof Executable);
+
+    const err = toError(error);
+
+    // Failed tests already count against
+    // the run. --warn-late only warns.
+    if (this.warnLate || owner.fail) {
+      owner.warn(err);
+
+      // Hooks are only reported when they fail.
+      if (owner instanceof Hook && !owner.fail) {
+        if (!this.lateHooks.includes(owner))
+          this.lateHooks.push(owner);
+      }
+
+      return;
+    }
+
+    // Hooks have no result and results are
+    // only held back with --fail-late. Fail
+    // the run, but name the owner.
+    if (!this.failLate
+        || !(owner instanceof Test)
+        || owner.state !== 'passed') {
+      err.late = owner.fullTitle();
+      this.error(err);
+      return;
+    }
+
+    const reported = this.results.includes(owner);
+
+    if (reported) {
+      if (owner.fails)
+        this.stats.expectedFailures -= 1;
+      else
+        this.stats.passes -= 1;
+
+      this.stats.failures += 1;
+    }
+
+    owner.setError(err);
+  }
+
   error(error) {
     const err = toError(error);
 
@@ -573,6 +1134,201 @@ class Mocha extends Runnable {
     this.exit(1);
   }
 
+  snapshot(value, hint, start) {
+    if (start == null)
+      start = this.snapshot;
+
+    if (hint != null && typeof hint !== 'string')
+      throw stackError(start, 'Snapshot hint must be a string.');
+
+    const test = this.runningTest();
+
+    if (!(test instanceof Test))
+      throw stackError(start, 'Snapshots can only be taken inside a test.');
+
+    if (!this.snapshots)
+      throw stackError(start, 'Snapshots are not supported.');
+
+    const result = this.snapshots.match(test, value, hint);
+
+    if (!result)
+      return;
+
+    const err = stackError(start, `Snapshot \`${result.key}\` mismatched.`);
+
+    err.actual = result.actual;
+    err.expected = result.expected;
+    err.operator = 'snapshotEqual';
+    err.showDiff = true;
+
+    throw err;
+  }
+
+  shuffle(items, level, key) {
+    assert(Array.isArray(items));
+    assert(randomModes.includes(level));
+    assert(typeof key === 'string');
+
+    // Levels are cumulative: "tests"
+    // implies "suites" and "files".
+    const mode = randomModes.indexOf(this.random);
+
+    if (mode < randomModes.indexOf(level))
+      return items;
+
+    return shuffle(items, this.seed, `${level}:${key}`);
+  }
+
+  selects(test) {
+    assert(test instanceof Test);
+
+    if (this.tagFilter && !this.tagFilter(test.tags))
+      return false;
+
+    // Tests are assigned to shards by their full title.
+    if (this.shard && this.shard.strategy === 'tests') {
+      const {index, total} = this.shard;
+
+      if (hash(test.fullTitle()) % total !== index - 1)
+        return false;
+    }
+
+    if (!this.failed)
+      return true;
+
+    const path = test.titlePath();
+
+    for (const {file, titlePath, type} of this.failed) {
+      if (file != null && file !== test.file)
+        continue;
+
+      // Suites select everything beneath them.
+      if (type === 'test' && titlePath.length !== path.length)
+        continue;
+
+      if (titlePath.length > path.length)
+        continue;
+
+      if (titlePath.every((title, i) => title === path[i]))
+        return true;
+    }
+
+    return false;
+  }
+
+  _selectLines(funcs) {
+    assert(Array.isArray(funcs));
+
+    // A parallel worker only loads some of the files.
+    const loaded = new Set(funcs.map(func => func.file));
+    const files = new Set(this.lines.map(target => target.file));
+    const runnables = [];
+    const tests = [];
+    const selected = new Set();
+
+    const walk = (suite) => {
+      if (suite.location)
+        runnables.push(suite);
+
+      for (const test of suite.tests) {
+        if (test.location)
+          runnables.push(test);
+
+        tests.push(test);
+      }
+
+      for (const child of suite.suites)
+        walk(child);
+    };
+
+    walk(this.suite);
+
+    // Pick the innermost test or suite enclosing each line.
+    for (const {file, line, column, name} of this.lines) {
+      if (!loaded.has(file))
+        continue;
+
+      let best = null;
+
+      for (const runnable of runnables) {
+        const loc = runnable.location;
+
+        if (runnable.file !== file)
+          continue;
+
+        if (loc.line > line || loc.end < line)
+          continue;
+
+        if (loc.line === line && column > 0 && loc.column > column)
+          continue;
+
+        if (best) {
+          const {location} = best;
+
+          if (loc.line < location.line)
+            continue;
+
+          // Without a column, the first call on a line wins.
+          if (loc.line === location.line) {
+            if (column > 0 && loc.column <= location.column)
+              continue;
+
+            if (column === 0 && loc.column >= location.column)
+              continue;
+          }
+        }
+
+        best = runnable;
+      }
+
+      if (!best)
+        throw new Error(`No test found at ${name || `${file}:${line}`}.`);
+
+      // Rows of an each-table share a call site.
+      for (const runnable of runnables) {
+        const loc = runnable.location;
+
+        if (runnable.file === file
+            && loc.line === best.location.line
+            && loc.column === best.location.column) {
+          selected.add(runnable);
+        }
+      }
+    }
+
+    // Other files run as usual.
+    for (const test of tests) {
+      if (!files.has(test.file))
+        continue;
+
+      let runnable = test;
+
+      while (runnable && !selected.has(runnable))
+        runnable = runnable.parent;
+
+      if (!runnable)
+        test.matching = false;
+    }
+
+    // Files may change before the next run.
+    this.sources.clear();
+  }
+
+  _tagFilter() {
+    const include = this.tag.map(parseTags);
+    const exclude = this.excludeTag.map(parseTags);
+
+    if (include.length === 0 && exclude.length === 0)
+      return null;
+
+    return (tags) => {
+      if (include.length > 0 && !include.some(f => f(tags)))
+        return false;
+
+      return !exclude.some(f => f(tags));
+    };
+  }
+
   matches(title) {
     assert(typeof title === 'string');
 
@@ -617,25 +1373,101 @@ class Mocha extends Runnable {
     });
   }
 
-  async run(funcs) {
-    const Reporter = Base.get(this.reporter);
+  _reporter(item) {
+    if (typeof item === 'string' || typeof item === 'function')
+      item = { reporter: item };
+
+    assert(item && typeof item === 'object');
+    assert(item.stream == null || typeof item.stream.write === 'function');
+
+    const Reporter = Base.get(item.reporter);
+
+    let options = Object.create(null);
+
+    if (item.reporterOptions != null) {
+      assert(typeof item.reporterOptions === 'object');
+      options = item.reporterOptions;
+    }
+
+    return {
+      reporter: typeof item.reporter === 'string' ? Reporter.id : Reporter,
+      reporterOptions: options,
+      stream: item.stream != null ? item.stream : null,
+      colors: item.colors != null ? Boolean(item.colors) : null
+    };
+  }
+
+  _report(reporter, stream, options, colors) {
+    const Reporter = Base.get(reporter);
+    const report = new Reporter(stream, options);
+
+    report.stats = this.stats;
+    report.colors = colors;
+    report.diff = this.diff;
+    report.fullTrace = this.fullTrace;
+    report.windows = this.windows;
+
+    return report;
+  }
+
+  reset() {
+    if (this.snapshots)
+      this.snapshots.reset();
 
     this.stats = new Stats();
     this.results = [];
     this.errors = [];
+    this.lateHooks = [];
     this.exclusive = false;
     this.runResolve = null;
     this.runCalled = false;
 
-    this.report = new Reporter(this.stream, this.reporterOptions);
-    this.report.stats = this.stats;
-    this.report.colors = this.colors;
-    this.report.diff = this.diff;
-    this.report.fullTrace = this.fullTrace;
-    this.report.windows = this.windows;
+    this.report = this._report(this.reporter,
+                               this.stream,
+                               this.reporterOptions,
+                               this.colors);
+
+    // Additional reporters get the same calls.
+    if (this.reporters.length > 0) {
+      const reports = [this.report];
+
+      for (const item of this.reporters) {
+        const stream = item.stream || this.stream;
+
+        let {colors} = item;
+
+        if (colors == null) {
+          colors = item.stream
+            ? Boolean(item.stream.isTTY)
+            : this.colors;
+        }
+
+        reports.push(this._report(item.reporter,
+                                  stream,
+                                  item.reporterOptions,
+                                  colors));
+      }
+
+      this.report = new MultiReporter(reports);
+      this.report.stats = this.stats;
+    }
 
     this.suite = new Suite(this);
 
+    return this;
+  }
+
+  async run(funcs) {
+    this.reset();
+
+    // Late errors may still fail a test after it
+    // has finished. Hold the results until the
+    // end so that every reporter agrees.
+    if (this.failLate) {
+      this.report = new BufferReporter(this.report);
+      this.report.stats = this.stats;
+    }
+
     // Track async hooks.
     let calls = null;
 
@@ -671,6 +1503,65 @@ class Mocha extends Runnable {
     // Revert globals.
     this.unglobalize(save);
 
+    // Restrict to tests at the given lines.
+    if (this.lines) {
+      try {
+        this._selectLines(funcs);
+      } catch (e) {
+        this.uncatch();
+        this.report.exception(toError(e));
+        return 1;
+      }
+    }
+
+    return this.execute(calls, async () => {
+      this.stats.total = this.suite.total();
+
+      if (this.stats.total > 0)
+        this.report.start(this);
+
+      // Watch for handles left open by tests.
+      if (this.detectOpenHandles)
+        this.tracker = trackHandles(() => this.storage.getStore());
+
+      try {
+        await this.suite.run();
+      } finally {
+        this.clock.uninstall();
+
+        if (this.tracker) {
+          this.tracker.close();
+          this.tracker = null;
+        }
+      }
+
+      // Write out new snapshots.
+      if (this.snapshots) {
+        try {
+          this.snapshots.finish(this);
+        } catch (e) {
+          this.error(e);
+        }
+      }
+    });
+  }
+
+  async runParallel(pool) {
+    assert(pool && typeof pool.run === 'function');
+
+    this.reset();
+
+    // The pool is responsible for starting
+    // the reporter once it knows the total.
+    // Workers write their own snapshots and
+    // send back a summary for each file.
+    return this.execute(null, () => pool.run(this));
+  }
+
+  async execute(calls, exec) {
+    assert(calls == null || typeof calls === 'function');
+    assert(typeof exec === 'function');
+
     try {
       await this._globalSetup();
     } catch (e) {
@@ -680,12 +1571,10 @@ class Mocha extends Runnable {
 
     this.running = true;
     this.stats.mark();
-    this.stats.total = this.suite.total();
 
-    if (this.stats.total > 0)
-      this.report.start(this);
+    Mocha.active = this;
 
-    await this.suite.run();
+    await exec();
 
     this.stats.mark();
 
@@ -707,8 +1596,11 @@ class Mocha extends Runnable {
 
     this.running = false;
 
+    if (Mocha.active === this)
+      Mocha.active = null;
+
     if (this.stats.total > 0)
-      this.report.end(this);
+      await this.report.end(this);
 
     try {
       await this._globalTeardown();
@@ -740,9 +1632,17 @@ class Mocha extends Runnable {
       }
 
       this.aborters.push(resolve);
+      this.abortJobs(new Error('Test run aborted.'));
     });
   }
 
+  abortJobs(reason) {
+    assert(reason instanceof Error);
+
+    for (const job of this.jobs)
+      job.test.abort(reason);
+  }
+
   get isAborting() {
     return this.aborters.length > 0;
   }
@@ -826,6 +1726,8 @@ class Mocha extends Runnable {
   }
 }
 
+Mocha.active = null;
+
 /**
  * Suite
  */
@@ -855,10 +1757,14 @@ class Suite extends Runnable {
     this.timeouts = parent.timeouts;
     this.retries = parent.retries;
     this.skippable = parent.skippable;
+    this.reason = parent.reason;
+    this.tags = parent.tags.slice();
     this.only = parent.only;
+    this.concurrent = parent.concurrent;
     this.running = false;
     this.stats = new Stats();
     this.context = new Context(this);
+    this.file = parent.mocha.file || parent.file;
 
     this.root = this.depth === 0;
     this.befores = [];
@@ -905,13 +1811,17 @@ class Suite extends Runnable {
     this.afterEaches.push(hook);
   }
 
-  describe(title, func, action, start) {
+  describe(title, func, action, start, reason, options) {
     const suite = new Suite(this, title, start);
 
+    suite.setOptions(options, start);
+
     if (action === 'only')
       suite.context.only();
     else if (action === 'skip')
-      suite.context.skip();
+      suite.context.skip(reason);
+    else if (action === 'concurrent')
+      suite.concurrent = true;
     else if (action != null)
       throw stackError(start, `Invalid action: ${action}`);
 
@@ -923,6 +1833,9 @@ class Suite extends Runnable {
         + 'or explicitly skip the suite.');
     }
 
+    if (this.mocha.lines)
+      suite.location = callSite(start, func, suite.file, this.mocha.sources);
+
     suite.init(func, start);
 
     this.suites.push(suite);
@@ -930,20 +1843,30 @@ class Suite extends Runnable {
     return suite.context;
   }
 
-  it(title, func, action, start) {
+  it(title, func, action, start, reason, options) {
     if (func == null) {
       func = noop;
-      action = 'skip';
+
+      if (action !== 'todo')
+        action = 'skip';
     }
 
-    const test = new Test(this, title, func, start);
+    const test = new Test(this, title, func, start, options);
 
-    if (action === 'only')
+    if (action === 'only') {
       test.context.only();
-    else if (action === 'skip')
+    } else if (action === 'skip') {
+      test.context.skip(reason);
+    } else if (action === 'todo') {
+      test.todo = true;
       test.context.skip();
-    else if (action != null)
+    } else if (action === 'fails') {
+      test.fails = true;
+    } else if (action === 'concurrent') {
+      test.concurrent = true;
+    } else if (action != null) {
       throw stackError(start, `Invalid action: ${action}`);
+    }
 
     this.tests.push(test);
 
@@ -989,6 +1912,7 @@ class Suite extends Runnable {
 
     const ctx = this.mocha.context;
     const current = this.mocha.current;
+    const file = this.mocha.file;
 
     this.mocha.current = this;
 
@@ -996,15 +1920,61 @@ class Suite extends Runnable {
       this.mocha._rootHooks();
 
     try {
-      for (const func of funcs)
-        await func.call(ctx, ctx);
+      for (const func of funcs) {
+        // Loaders may tell us which file this is.
+        this.mocha.file = typeof func.file === 'string'
+          ? func.file
+          : null;
+
+        // And carry settings from its header.
+        const restore = this.configure(func.header);
+
+        let result;
+
+        try {
+          result = await func.call(ctx, ctx);
+        } finally {
+          restore();
+        }
+
+        // Files return their exports.
+        if (this.mocha.ui === 'exports')
+          this.mocha._exports(result, this);
+      }
     } finally {
       this.mocha.current = current;
+      this.mocha.file = file;
     }
 
     return this;
   }
 
+  configure(header) {
+    if (header == null)
+      return noop;
+
+    assert(typeof header === 'object');
+
+    const {timeout, retries, slow} = this;
+
+    // Anything defined while these are set
+    // inherits them, so that's all we need.
+    if (header.timeout != null)
+      this.timeout = header.timeout >>> 0;
+
+    if (header.retries != null)
+      this.retries = header.retries >>> 0;
+
+    if (header.slow != null)
+      this.slow = header.slow >>> 0;
+
+    return () => {
+      this.timeout = timeout;
+      this.retries = retries;
+      this.slow = slow;
+    };
+  }
+
   total() {
     let count = 0;
 
@@ -1024,11 +1994,19 @@ class Suite extends Runnable {
     return count;
   }
 
+  isPending() {
+    return this.skippable;
+  }
+
   succeed(test) {
     assert(test instanceof Executable);
 
-    if (test.skip)
+    if (test.todo)
+      this.mocha.stats.todo += 1;
+    else if (test.skip)
       this.mocha.stats.pending += 1;
+    else if (test.fails)
+      this.mocha.stats.expectedFailures += 1;
     else
       this.mocha.stats.passes += 1;
 
@@ -1041,6 +2019,11 @@ class Suite extends Runnable {
   fail(test) {
     assert(test instanceof Executable);
 
+    // Nothing checks the handles of a failed
+    // test (or hook), so stop tracking them.
+    if (this.mocha.tracker)
+      this.mocha.tracker.release(test);
+
     if (this.mocha.isAborting)
       return false;
 
@@ -1050,6 +2033,15 @@ class Suite extends Runnable {
 
     this.mocha.report.testEnd(test);
 
+    if (this.mocha.bail) {
+      const reason = new Error('Test run bailed.');
+
+      // Stop whatever is still in flight.
+      test.abort(reason);
+
+      this.mocha.abortJobs(reason);
+    }
+
     return !this.mocha.bail;
   }
 
@@ -1069,6 +2061,7 @@ class Suite extends Runnable {
 
     const ok = await this.exec();
 
+    this.cleanup();
     this.stats.mark();
     this.running = false;
 
@@ -1077,50 +2070,96 @@ class Suite extends Runnable {
     return ok;
   }
 
+  order(items, level) {
+    if (!this.root)
+      return this.mocha.shuffle(items, level, this.fullTitle());
+
+    // Top-level items stay grouped by file
+    // so that file order is left to the CLI.
+    // Only the file name is used for the key
+    // to keep seeds portable across machines.
+    const groups = new Map();
+    const out = [];
+
+    for (const item of items) {
+      if (!groups.has(item.file))
+        groups.set(item.file, []);
+
+      groups.get(item.file).push(item);
+    }
+
+    for (const [file, group] of groups) {
+      const name = file ? file.replace(/^.*[\\/]/, '') : '';
+      out.push(...this.mocha.shuffle(group, level, name));
+    }
+
+    return out;
+  }
+
   async exec() {
     for (const hook of this.befores) {
       if (!await hook.run())
         return this.fail(hook);
     }
 
-    for (const test of this.tests) {
+    const tests = this.order(this.tests, 'tests').filter((test) => {
       if (this.mocha.exclusive && !test.only)
-        continue;
+        return false;
 
-      if (!test.matching)
-        continue;
+      return test.matching;
+    });
+
+    let batch = null;
 
-      this.mocha.report.testStart(test);
+    try {
+      for (let i = 0; i < tests.length; i++) {
+        const test = tests[i];
 
-      let success = false;
+        let failure;
 
-      for (let retry = 0; retry < test.retries + 1; retry++) {
-        for (const hook of this.beforeEaches) {
-          if (!await hook.run(test))
-            return this.fail(hook);
-        }
+        if (test.concurrent) {
+          // Consecutive concurrent tests run side by
+          // side but are reported in definition order.
+          if (!batch || !batch.has(test)) {
+            let j = i + 1;
 
-        success = await test.run(retry);
+            while (j < tests.length && tests[j].concurrent)
+              j += 1;
 
-        for (const hook of this.afterEaches) {
-          if (!await hook.run(test))
-            return this.fail(hook);
+            batch = new Batch(this, tests.slice(i, j));
+          }
+
+          failure = await batch.get(test);
+
+          // Late errors may have failed it since.
+          if (!failure && test.fail)
+            failure = test;
+
+          this.mocha.report.testStart(test);
+        } else {
+          this.mocha.report.testStart(test);
+
+          failure = await this.runTest(test);
         }
 
-        if (success)
-          break;
-      }
+        if (!failure) {
+          this.succeed(test);
+          continue;
+        }
 
-      if (success) {
-        this.succeed(test);
-        continue;
-      }
+        if (failure !== test)
+          return this.fail(failure);
 
-      if (!this.fail(test))
-        return false;
+        if (!this.fail(test))
+          return false;
+      }
+    } finally {
+      // Let stragglers wind down.
+      if (batch)
+        await batch.close();
     }
 
-    for (const suite of this.suites) {
+    for (const suite of this.order(this.suites, 'suites')) {
       if (!await suite.run())
         return false;
     }
@@ -1132,6 +2171,48 @@ class Suite extends Runnable {
 
     return true;
   }
+
+  async runTest(test) {
+    assert(test instanceof Test);
+
+    let success = false;
+
+    for (let retry = 0; retry < test.retries + 1; retry++) {
+      try {
+        for (let hook of this.beforeEaches) {
+          if (test.concurrent)
+            hook = hook.fork();
+
+          if (!await hook.run(test))
+            return hook;
+        }
+
+        success = await test.run(retry);
+
+        for (let hook of this.afterEaches) {
+          if (test.concurrent)
+            hook = hook.fork();
+
+          if (!await hook.run(test))
+            return hook;
+        }
+      } finally {
+        // Real time resumes (and mocks are
+        // restored) before each retry.
+        this.mocha.clock.uninstall();
+        test.cleanup();
+      }
+
+      if (success)
+        break;
+    }
+
+    // Whatever the test opened should be closed by now.
+    if (success && !await test.checkHandles())
+      success = false;
+
+    return success ? null : test;
+  }
 }
 
 /**
@@ -1159,17 +2240,77 @@ class Executable extends Runnable {
     this.timeouts = parent.timeouts;
     this.retries = parent.retries;
     this.skippable = parent.skippable;
+    this.reason = parent.reason;
+    this.tags = parent.tags.slice();
     this.only = parent.only;
+    this.concurrent = parent.concurrent;
     this.running = false;
     this.stats = new Stats();
     this.context = new Context(this);
+    this.file = parent.mocha.file || parent.file;
 
     this.body = body;
     this.job = null;
     this.retry = 0;
+    this.todo = false;
+    this.fails = false;
     this.fail = false;
     this.error = null;
     this.swallowed = null;
+    this.controller = null;
+    this.warnings = [];
+  }
+
+  get type() {
+    return 'test';
+  }
+
+  get signal() {
+    if (!this.controller)
+      return null;
+
+    return this.controller.signal;
+  }
+
+  get aborted() {
+    return this.signal != null && this.signal.aborted;
+  }
+
+  get state() {
+    if (this.running)
+      return undefined;
+
+    if (this.fail)
+      return 'failed';
+
+    if (this.skip)
+      return 'pending';
+
+    return 'passed';
+  }
+
+  get pending() {
+    return this.skip;
+  }
+
+  get err() {
+    return this.error;
+  }
+
+  isPending() {
+    return this.skip;
+  }
+
+  isPassed() {
+    return this.state === 'passed';
+  }
+
+  isFailed() {
+    return this.fail;
+  }
+
+  currentRetry() {
+    return this.retry;
   }
 
   setError(err) {
@@ -1181,6 +2322,22 @@ class Executable extends Runnable {
     this.swallowed = null;
   }
 
+  abort(reason) {
+    assert(reason instanceof Error);
+
+    if (!this.controller || this.aborted)
+      return this;
+
+    this.controller.abort(reason);
+
+    return this;
+  }
+
+  warn(error) {
+    this.warnings.push(toError(error));
+    return this;
+  }
+
   getGlobals() {
     if (!this.mocha.checkLeaks)
       return null;
@@ -1324,28 +2481,49 @@ class Executable extends Runnable {
     this.error = null;
     this.swallowed = null;
 
+    // Older environments go without.
+    this.controller = typeof AbortController === 'function'
+      ? new AbortController()
+      : null;
+
     this.running = true;
     this.stats.mark();
 
-    this.mocha.test = this;
+    if (!this.concurrent)
+      this.mocha.test = this;
 
     const snapshot = this.getGlobals();
 
     try {
-      await this.exec();
+      await this.mocha.storage.run(this, () => this.exec());
     } catch (e) {
       if (e !== PENDING)
         this.setError(toError(e));
     }
 
-    if (this.mocha.forbidPending && this.skip)
-      this.setError(new Error('Pending test forbidden'));
+    // Expected failures pass by failing.
+    if (this.fails && !this.skip) {
+      if (this.fail) {
+        this.fail = false;
+        this.error = null;
+      } else {
+        this.setError(new Error('Expected test to fail.'));
+      }
+    }
+
+    if (this.mocha.forbidPending && this.skip) {
+      if (this.todo)
+        this.setError(new Error('Todo test forbidden'));
+      else
+        this.setError(new Error('Pending test forbidden'));
+    }
 
     this.checkGlobals(snapshot);
 
     await nextTick();
 
-    this.mocha.test = null;
+    if (!this.concurrent)
+      this.mocha.test = null;
 
     this.stats.mark();
     this.running = false;
@@ -1378,9 +2556,18 @@ class Executable extends Runnable {
     return {
       title: this.title,
       fullTitle: this.fullTitle(),
+      titlePath: this.titlePath(),
+      file: this.file,
+      type: this.type,
+      state: this.state,
+      todo: this.todo,
+      fails: this.fails,
+      reason: this.skip ? this.reason : null,
+      tags: this.tags.slice(),
       duration: this.stats.duration,
       currentRetry: this.retry,
       speed: this.speed,
+      slow: this.slow,
       err,
       stack
     };
@@ -1416,6 +2603,27 @@ class Hook extends Executable {
       name += `: ${desc}`;
 
     super(parent, name, '', body);
+
+    // Only forks run concurrently.
+    this.concurrent = false;
+    this.target = null;
+  }
+
+  get type() {
+    return 'hook';
+  }
+
+  fork() {
+    // Concurrent tests each get their own
+    // copy of an each hook's run state.
+    const hook = Object.assign(Object.create(Hook.prototype), this);
+
+    hook.concurrent = true;
+    hook.stats = new Stats();
+    hook.job = null;
+    hook.warnings = [];
+
+    return hook;
   }
 
   async run(test) {
@@ -1424,9 +2632,11 @@ class Hook extends Executable {
     if (test) {
       this.context = test.context;
       this.title = `${this.name} for "${test.title}"`;
+      this.target = test;
     } else {
       this.context = this.suite.context;
       this.title = this.name;
+      this.target = this.suite;
     }
 
     return super.run();
@@ -1438,7 +2648,7 @@ class Hook extends Executable {
  */
 
 class Test extends Executable {
-  constructor(parent, title, body, start) {
+  constructor(parent, title, body, start, options) {
     if (typeof title !== 'string')
       throw stackError(start, 'Must provide a title for test.');
 
@@ -1454,6 +2664,16 @@ class Test extends Executable {
       throw stackError(start, 'Invalid test title.');
 
     super(parent, '', title, body);
+
+    this.setOptions(options, start);
+
+    // Remember where we were defined.
+    if (this.mocha.lines)
+      this.location = callSite(start, body, this.file, this.mocha.sources);
+
+    // Restrict to tagged, failed or sharded tests.
+    if (this.matching && !this.mocha.selects(this))
+      this.matching = false;
   }
 
   async run(retry = 0) {
@@ -1461,6 +2681,48 @@ class Test extends Executable {
     this.retry = retry;
     return super.run();
   }
+
+  async checkHandles() {
+    const {tracker} = this.mocha;
+
+    if (!tracker || this.skip)
+      return true;
+
+    // Closed handles are only destroyed
+    // on the next turn of the event loop.
+    await nextTick();
+
+    const open = tracker.open(this);
+
+    if (open.length === 0)
+      return true;
+
+    const types = open.map(([type]) => type);
+    const err = new Error(`${open.length} open handle(s) left behind `
+                        + `(${types.join(', ')}).`);
+
+    // Point at where each handle was created.
+    const frames = [];
+
+    for (const [type, calls] of open) {
+      if (calls.length === 0)
+        frames.push(`    at ${type} (<unknown>)`);
+
+      for (const {filename, line, column} of calls)
+        frames.push(`    at ${type} (${filename}:${line + 1}:${column + 1})`);
+    }
+
+    err.stack = [`Error: ${err.message}`, ...frames].join('\n');
+
+    if (this.mocha.detectOpenHandles === 'warn') {
+      this.warn(err);
+      return true;
+    }
+
+    this.setError(err);
+
+    return false;
+  }
 }
 
 /**
@@ -1503,7 +2765,13 @@ class AbstractContext {
     return this;
   }
 
-  skip() {
+  skip(reason) {
+    if (reason != null && typeof reason !== 'string')
+      throw stackError(this.skip, 'Skip reason must be a string.');
+
+    if (reason != null)
+      this.runnable.reason = reason;
+
     if (this.runnable.running) {
       this.runnable.skip = true;
       throw PENDING;
@@ -1514,6 +2782,26 @@ class AbstractContext {
     return this;
   }
 
+  get clock() {
+    return this.mocha.clock;
+  }
+
+  get signal() {
+    const runnable = this.mocha.runningTest();
+
+    // Each hooks borrow their test's context,
+    // so prefer whatever is actually running.
+    if (runnable && runnable.context === this)
+      return runnable.signal;
+
+    return this.runnable.signal;
+  }
+
+  snapshot(value, hint) {
+    this.mocha.snapshot(value, hint, this.snapshot);
+    return this;
+  }
+
   slow(ms) {
     if (arguments.length === 0)
       return this.runnable.slow;
@@ -1546,7 +2834,7 @@ class MochaContext extends AbstractContext {
 
   get runnable() {
     const mocha = this.mocha;
-    const runnable = mocha.current || mocha.test;
+    const runnable = mocha.current || mocha.runningTest();
 
     if (!runnable)
       throw new Error('No context currently running!');
@@ -1593,12 +2881,15 @@ class Job {
 
   init() {
     this.test.job = this;
+    this.test.mocha.jobs.add(this);
     return this;
   }
 
   resolve() {
-    if (this.done)
+    if (this.done) {
+      this.late(null);
       return null;
+    }
 
     this.done = true;
     this.clear();
@@ -1608,8 +2899,10 @@ class Job {
   }
 
   reject(err) {
-    if (this.done)
+    if (this.done) {
+      this.late(err);
       return null;
+    }
 
     this.done = true;
     this.clear();
@@ -1640,7 +2933,7 @@ class Job {
 
     this.called = true;
 
-    setImmediate(() => {
+    immediate(() => {
       if (err)
         this.reject(err);
       else
@@ -1675,25 +2968,109 @@ class Job {
     }
 
     this.timer = setTimeout(() => {
-      this.reject(new Error(''
+      const err = new Error(''
         + `Timeout of ${timeout}ms exceeded. `
         + 'For async tests and hooks, ensure '
         + '"done()" is called; if returning a '
-        + 'Promise, ensure it resolves.'));
+        + 'Promise, ensure it resolves.');
+
+      this.reject(err);
+      this.test.abort(err);
     }, timeout);
 
-    return this;
-  }
+    return this;
+  }
+
+  clear() {
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.test.job = null;
+    this.test.mocha.jobs.delete(this);
+
+    return this;
+  }
+
+  late(err) {
+    const {test} = this;
+
+    // Only work which outlives an abort is suspect.
+    if (!test.aborted)
+      return this;
+
+    // Bailing out with the abort reason is expected.
+    if (err === test.signal.reason || get(err, 'name') === 'AbortError')
+      return this;
+
+    if (err == null)
+      err = new Error('Test kept running after it was aborted.');
+
+    test.warn(err);
+
+    return this;
+  }
+}
+
+/**
+ * Batch
+ */
+
+class Batch {
+  constructor(suite, tests) {
+    assert(suite instanceof Suite);
+    assert(Array.isArray(tests));
+
+    this.suite = suite;
+    this.results = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.stopped = false;
+
+    for (const test of tests) {
+      this.results.set(test, new Promise((resolve, reject) => {
+        this.queue.push([test, resolve, reject]);
+      }));
+    }
+
+    this.drain();
+  }
+
+  has(test) {
+    return this.results.has(test);
+  }
+
+  get(test) {
+    assert(this.results.has(test));
+    return this.results.get(test);
+  }
+
+  drain() {
+    const {maxConcurrency} = this.suite.mocha;
+
+    while (this.queue.length > 0 && this.active < maxConcurrency) {
+      const [test, resolve, reject] = this.queue.shift();
+
+      // Nothing new starts once the suite has stopped.
+      if (this.stopped) {
+        resolve(null);
+        continue;
+      }
+
+      this.active += 1;
 
-  clear() {
-    if (this.timer != null) {
-      clearTimeout(this.timer);
-      this.timer = null;
+      this.suite.runTest(test).then(resolve, reject).then(() => {
+        this.active -= 1;
+        this.drain();
+      });
     }
+  }
 
-    this.test.job = null;
-
-    return this;
+  async close() {
+    this.stopped = true;
+    this.drain();
+    await Promise.all(this.results.values());
   }
 }
 
@@ -1709,7 +3086,9 @@ class Stats {
     this.suites = 0;
     this.passes = 0;
     this.pending = 0;
+    this.todo = 0;
     this.failures = 0;
+    this.expectedFailures = 0;
     this.tests = 0;
     this.total = 0;
   }
@@ -1738,7 +3117,9 @@ class Stats {
       tests: this.tests,
       passes: this.passes,
       pending: this.pending,
+      todo: this.todo,
       failures: this.failures,
+      expectedFailures: this.expectedFailures,
       start: new Date(this.start).toISOString(),
       end: new Date(this.end).toISOString(),
       duration: this.duration
@@ -1932,12 +3313,50 @@ class Base {
         + '\n');
     }
 
+    if (stats.todo > 0) {
+      this.write('  '
+        + color('todo', `${stats.todo} todo`)
+        + '\n');
+    }
+
     if (stats.failures > 0) {
       this.write('  '
         + color('fail', `${stats.failures} failing`)
         + '\n');
     }
 
+    if (stats.expectedFailures > 0) {
+      this.write('  '
+        + color('light', `${stats.expectedFailures} failed as expected`)
+        + '\n');
+    }
+
+    const warnings = mocha.results.concat(mocha.lateHooks)
+                                  .filter(test => test.warnings.length > 0);
+
+    if (warnings.length > 0) {
+      const count = warnings.reduce((n, test) => n + test.warnings.length, 0);
+
+      this.write('  '
+        + color('warning', `${count} warning(s)`)
+        + '\n');
+    }
+
+    if (mocha.random) {
+      this.write('  '
+        + color('light', `randomized ${mocha.random} `
+                       + `(--seed ${mocha.seed})`)
+        + '\n');
+    }
+
+    if (mocha.shard) {
+      const {index, total, strategy} = mocha.shard;
+
+      this.write('  '
+        + color('light', `shard ${index}/${total} (${strategy})`)
+        + '\n');
+    }
+
     this.write('\n');
 
     let total = 0;
@@ -1987,16 +3406,80 @@ class Base {
       const id = total + 1;
       const error = mocha.errors[i];
 
+      const late = get(error, 'late');
+      const title = typeof late === 'string'
+        ? `Late Error: ${late}:`
+        : 'Uncaught Error';
+
       this.write('  '
         + color('warning', `${id})`)
         + ' '
-        + color('title', 'Uncaught Error')
+        + color('title', title)
         + '\n');
 
       this.error(error, 3);
 
       total += 1;
     }
+
+    for (const test of warnings) {
+      for (const warning of test.warnings) {
+        this.write('  '
+          + color('warning', 'Warning:')
+          + ' '
+          + color('title', `${test.fullTitle()}:`)
+          + '\n');
+
+        this.error(warning, 3);
+      }
+    }
+
+    if (mocha.snapshots)
+      this.snapshots(mocha.snapshots.summary);
+  }
+
+  snapshots(summary) {
+    assert(summary && typeof summary === 'object');
+
+    const {color} = this;
+    const counts = [];
+
+    if (summary.written > 0)
+      counts.push(`${summary.written} written`);
+
+    if (summary.updated > 0)
+      counts.push(`${summary.updated} updated`);
+
+    if (summary.removed > 0)
+      counts.push(`${summary.removed} removed`);
+
+    if (counts.length > 0) {
+      this.write('  '
+        + color('light', `Snapshots: ${counts.join(', ')}`)
+        + '\n');
+      this.write('\n');
+    }
+
+    if (summary.obsolete.length === 0)
+      return;
+
+    this.write('  '
+      + color('warning', `${summary.obsolete.length} obsolete snapshot(s) `
+                       + '(run with --update-snapshots to remove):')
+      + '\n');
+
+    let last = null;
+
+    for (const {file, key} of summary.obsolete) {
+      if (file !== last) {
+        this.write('\n    ' + color('title', file) + '\n');
+        last = file;
+      }
+
+      this.write('      ' + color('light', key) + '\n');
+    }
+
+    this.write('\n');
   }
 
   why(active) {
@@ -2055,56 +3538,25 @@ class Base {
       return SpecReporter;
 
     if (typeof reporter === 'string') {
-      switch (reporter) {
-        case 'doc':
-          reporter = DocReporter;
-          break;
-        case 'dot':
-          reporter = DotReporter;
-          break;
-        case 'json':
-          reporter = JSONReporter;
-          break;
-        case 'json-stream':
-          reporter = JSONStreamReporter;
-          break;
-        case 'landing':
-          reporter = LandingReporter;
-          break;
-        case 'list':
-          reporter = ListReporter;
-          break;
-        case 'markdown':
-          reporter = MarkdownReporter;
-          break;
-        case 'min':
-          reporter = MinReporter;
-          break;
-        case 'nyan':
-          reporter = NyanReporter;
-          break;
-        case 'progress':
-          reporter = ProgressReporter;
-          break;
-        case 'spec':
-          reporter = SpecReporter;
-          break;
-        case 'tap':
-          reporter = TapReporter;
-          break;
-        case 'xunit':
-          reporter = XUnitReporter;
-          break;
-        default:
-          throw new Error(`Unknown reporter: ${reporter}.`);
-      }
+      if (!Base.reporters[reporter])
+        throw new Error(`Unknown reporter: ${reporter}.`);
+
+      reporter = Base.reporters[reporter];
     }
 
     assert(typeof reporter === 'function');
-    assert(typeof reporter.id === 'string');
+
+    // Mocha-style reporter (takes a runner).
+    if (typeof reporter.id !== 'string')
+      reporter = RunnerReporter.wrap(reporter);
 
     return reporter;
   }
+
+  static has(name) {
+    assert(typeof name === 'string');
+    return Base.reporters[name] != null;
+  }
 }
 
 Base.id = '';
@@ -2217,6 +3669,7 @@ class JSONReporter extends Base {
   constructor(stream, options) {
     super(stream, options);
     this.pending = [];
+    this.todo = [];
     this.failures = [];
     this.passes = [];
     this.tests = [];
@@ -2228,6 +3681,7 @@ class JSONReporter extends Base {
 
   start(mocha) {
     this.pending = [];
+    this.todo = [];
     this.failures = [];
     this.passes = [];
     this.tests = [];
@@ -2236,7 +3690,9 @@ class JSONReporter extends Base {
   testEnd(test) {
     const json = test.toJSON();
 
-    if (test.skip)
+    if (test.todo)
+      this.todo.push(json);
+    else if (test.skip)
       this.pending.push(json);
     else if (test.fail)
       this.failures.push(json);
@@ -2251,6 +3707,7 @@ class JSONReporter extends Base {
       stats: this.stats.toJSON(),
       tests: this.tests,
       pending: this.pending,
+      todo: this.todo,
       failures: this.failures,
       passes: this.passes
     });
@@ -2840,11 +4297,24 @@ class SpecReporter extends Base {
     const {color, symbols} = this;
     const padding = '  '.repeat(test.depth);
 
+    if (test.todo) {
+      this.write(color('todo', padding
+        + '  '
+        + `${symbols.dash} ${test.title} (todo)`)
+        + '\n');
+      return;
+    }
+
     if (test.skip) {
       this.write(color('pending', padding
         + '  '
-        + `${symbols.dash} ${test.title}`)
-        + '\n');
+        + `${symbols.dash} ${test.title}`));
+
+      if (test.reason)
+        this.write(' ' + color('light', `(${singlify(test.reason)})`));
+
+      this.write('\n');
+
       return;
     }
 
@@ -2863,6 +4333,9 @@ class SpecReporter extends Base {
       + ' '
       + color('pass', test.title));
 
+    if (test.fails)
+      this.write(' ' + color('light', '(failed as expected)'));
+
     if (test.speed !== 'fast')
       this.write(' ' + color(test.speed, `(${test.duration}ms)`));
 
@@ -2902,6 +4375,7 @@ class TapReporter extends Base {
     this.n = 1;
     this.passes = 0;
     this.failures = 0;
+    this.todo = 0;
   }
 
   title(test) {
@@ -2912,14 +4386,22 @@ class TapReporter extends Base {
     this.n = 1;
     this.passes = 0;
     this.failures = 0;
+    this.todo = 0;
     this.write(`1..${mocha.stats.total}\n`, 1);
   }
 
   testEnd(test) {
     this.n += 1;
 
+    if (test.todo) {
+      this.todo += 1;
+      this.write(`not ok ${this.n} ${this.title(test)} # TODO\n`);
+      return;
+    }
+
     if (test.skip) {
-      this.write(`ok ${this.n} ${this.title(test)} # SKIP -\n`);
+      const reason = test.reason ? singlify(test.reason) : '-';
+      this.write(`ok ${this.n} ${this.title(test)} # SKIP ${reason}\n`);
       return;
     }
 
@@ -2942,6 +4424,12 @@ class TapReporter extends Base {
     }
 
     this.passes += 1;
+
+    if (test.fails) {
+      this.write(`ok ${this.n} ${this.title(test)} - failed as expected\n`);
+      return;
+    }
+
     this.write(`ok ${this.n} ${this.title(test)}\n`);
   }
 
@@ -2949,6 +4437,9 @@ class TapReporter extends Base {
     this.write(`# tests ${this.passes + this.failures}\n`);
     this.write(`# pass ${this.passes}\n`);
     this.write(`# fail ${this.failures}\n`);
+
+    if (this.todo > 0)
+      this.write(`# todo ${this.todo}\n`);
   }
 }
 
@@ -2974,7 +4465,7 @@ class XUnitReporter extends Base {
       tests: this.stats.tests,
       failures: this.stats.failures,
       errors: this.stats.failures,
-      skipped: this.stats.pending,
+      skipped: this.stats.pending + this.stats.todo,
       timestamp: new Date().toUTCString(),
       time: this.stats.duration / 1000
     }, false);
@@ -2994,30 +4485,38 @@ class XUnitReporter extends Base {
       time: test.duration / 1000
     };
 
-    if (test.skip) {
-      const skipTag = this.tag('skipped', {}, true);
-      const testTag = this.tag('testcase', attrs, false, skipTag);
+    let content = '';
 
-      this.write(testTag + '\n');
+    if (test.tags.length > 0) {
+      const props = test.tags.map((name) => {
+        return this.tag('property', { name: 'tag', value: name }, true);
+      });
 
-      return;
+      content += this.tag('properties', {}, false, props.join(''));
     }
 
-    if (test.fail) {
-      const message = escape(toMessage(test.error));
-      const stack = escape(toStack(test.error, this.fullTrace));
-
-      const failTag = this.tag('failure', {}, false,
-                               `${message}\n\n${stack}`);
+    if (test.skip) {
+      const skipAttrs = {};
 
-      const testTag = this.tag('testcase', attrs, false, failTag);
+      if (test.todo)
+        skipAttrs.message = 'todo';
+      else if (test.reason)
+        skipAttrs.message = test.reason;
 
-      this.write(testTag + '\n');
+      content += this.tag('skipped', skipAttrs, true);
+    } else if (test.fail) {
+      const message = escape(toMessage(test.error));
+      const stack = escape(toStack(test.error, this.fullTrace));
 
-      return;
+      content += this.tag('failure', {}, false, `${message}\n\n${stack}`);
+    } else if (test.fails) {
+      content += this.tag('system-out', {}, false, 'failed as expected');
     }
 
-    this.write(this.tag('testcase', attrs, true) + '\n');
+    if (content)
+      this.write(this.tag('testcase', attrs, false, content) + '\n');
+    else
+      this.write(this.tag('testcase', attrs, true) + '\n');
   }
 
   tag(name, attrs, close, content = null) {
@@ -3045,6 +4544,295 @@ class XUnitReporter extends Base {
 
 XUnitReporter.id = 'xunit';
 
+/**
+ * Runner
+ */
+
+class Runner extends EventEmitter {
+  constructor() {
+    super();
+
+    this.mocha = null;
+    this.suite = null;
+    this.stats = null;
+    this.started = false;
+    this.state = Runner.constants.STATE_IDLE;
+  }
+
+  get total() {
+    return this.stats ? this.stats.total : 0;
+  }
+
+  get failures() {
+    return this.stats ? this.stats.failures : 0;
+  }
+
+  abort() {
+    if (this.mocha)
+      this.mocha.abort();
+    return this;
+  }
+}
+
+Runner.constants = {
+  __proto__: null,
+  EVENT_HOOK_BEGIN: 'hook',
+  EVENT_HOOK_END: 'hook end',
+  EVENT_RUN_BEGIN: 'start',
+  EVENT_DELAY_BEGIN: 'waiting',
+  EVENT_DELAY_END: 'ready',
+  EVENT_RUN_END: 'end',
+  EVENT_SUITE_BEGIN: 'suite',
+  EVENT_SUITE_END: 'suite end',
+  EVENT_TEST_BEGIN: 'test',
+  EVENT_TEST_END: 'test end',
+  EVENT_TEST_FAIL: 'fail',
+  EVENT_TEST_PASS: 'pass',
+  EVENT_TEST_PENDING: 'pending',
+  EVENT_TEST_RETRY: 'retry',
+  STATE_IDLE: 'idle',
+  STATE_RUNNING: 'running',
+  STATE_STOPPED: 'stopped'
+};
+
+/**
+ * RunnerReporter
+ */
+
+class RunnerReporter extends Base {
+  constructor(stream, options) {
+    super(stream, options);
+
+    this.runner = new Runner();
+    this.reporter = null;
+  }
+
+  start(mocha) {
+    const {runner} = this;
+    const Reporter = this.constructor.Reporter;
+
+    runner.mocha = mocha;
+    runner.suite = mocha.suite;
+    runner.stats = this.stats;
+    runner.state = Runner.constants.STATE_RUNNING;
+
+    // Mocha-style reporters expect to be
+    // constructed right before the run.
+    this.reporter = new Reporter(runner, {
+      reporterOption: this.options,
+      reporterOptions: this.options
+    });
+
+    runner.emit('start');
+  }
+
+  suiteStart(suite) {
+    this.runner.emit('suite', suite);
+  }
+
+  testStart(test) {
+    // Like mocha, tests skipped up
+    // front are never started.
+    if (!test.skippable)
+      this.runner.emit('test', test);
+  }
+
+  testEnd(test) {
+    const {runner} = this;
+
+    if (test instanceof Hook) {
+      if (test.fail)
+        runner.emit('fail', test, test.error);
+      return;
+    }
+
+    if (test.fail)
+      runner.emit('fail', test, test.error);
+    else if (test.skip)
+      runner.emit('pending', test);
+    else
+      runner.emit('pass', test);
+
+    runner.emit('test end', test);
+  }
+
+  suiteEnd(suite) {
+    this.runner.emit('suite end', suite);
+  }
+
+  async end(mocha) {
+    const {runner, reporter} = this;
+
+    runner.state = Runner.constants.STATE_STOPPED;
+    runner.emit('end');
+
+    // Some reporters need to flush
+    // their output asynchronously.
+    if (reporter && typeof reporter.done === 'function') {
+      await new Promise((resolve) => {
+        reporter.done(this.stats.failures, resolve);
+      });
+    }
+  }
+
+  static wrap(Reporter) {
+    assert(typeof Reporter === 'function');
+
+    let Wrapped = wrapped.get(Reporter);
+
+    if (!Wrapped) {
+      Wrapped = class extends RunnerReporter {};
+      Wrapped.id = Reporter.name || 'custom';
+      Wrapped.Reporter = Reporter;
+      wrapped.set(Reporter, Wrapped);
+    }
+
+    return Wrapped;
+  }
+}
+
+RunnerReporter.id = 'runner';
+RunnerReporter.Reporter = null;
+
+/**
+ * MultiReporter
+ */
+
+class MultiReporter extends Base {
+  constructor(reports) {
+    assert(Array.isArray(reports));
+
+    super(new Stream(), null);
+
+    this.reports = reports;
+  }
+
+  start(mocha) {
+    for (const report of this.reports)
+      report.start(mocha);
+  }
+
+  suiteStart(suite) {
+    for (const report of this.reports)
+      report.suiteStart(suite);
+  }
+
+  testStart(test) {
+    for (const report of this.reports)
+      report.testStart(test);
+  }
+
+  testEnd(test) {
+    for (const report of this.reports)
+      report.testEnd(test);
+  }
+
+  suiteEnd(suite) {
+    for (const report of this.reports)
+      report.suiteEnd(suite);
+  }
+
+  async end(mocha) {
+    for (const report of this.reports)
+      await report.end(mocha);
+  }
+
+  exception(error) {
+    for (const report of this.reports)
+      report.exception(error);
+  }
+
+  why(active) {
+    // Diagnostics only go to the main reporter.
+    this.reports[0].why(active);
+  }
+}
+
+MultiReporter.id = 'multi';
+
+/**
+ * BufferReporter
+ */
+
+class BufferReporter extends Base {
+  constructor(report) {
+    assert(report instanceof Base);
+
+    super(new Stream(), null);
+
+    this.report = report;
+    this.calls = [];
+  }
+
+  start(mocha) {
+    this.calls.push(['start', mocha]);
+  }
+
+  suiteStart(suite) {
+    this.calls.push(['suiteStart', suite]);
+  }
+
+  testStart(test) {
+    this.calls.push(['testStart', test]);
+  }
+
+  testEnd(test) {
+    this.calls.push(['testEnd', test]);
+  }
+
+  suiteEnd(suite) {
+    this.calls.push(['suiteEnd', suite]);
+  }
+
+  flush() {
+    const calls = this.calls;
+
+    this.calls = [];
+
+    for (const [method, arg] of calls)
+      this.report[method](arg);
+  }
+
+  async end(mocha) {
+    // Results are final once the run is over.
+    this.flush();
+
+    await this.report.end(mocha);
+  }
+
+  exception(error) {
+    this.flush();
+    this.report.exception(error);
+  }
+
+  why(active) {
+    this.report.why(active);
+  }
+}
+
+BufferReporter.id = 'buffer';
+
+/*
+ * Reporters
+ */
+
+Base.reporters = {
+  __proto__: null,
+  doc: DocReporter,
+  dot: DotReporter,
+  json: JSONReporter,
+  'json-stream': JSONStreamReporter,
+  landing: LandingReporter,
+  list: ListReporter,
+  markdown: MarkdownReporter,
+  min: MinReporter,
+  nyan: NyanReporter,
+  progress: ProgressReporter,
+  spec: SpecReporter,
+  tap: TapReporter,
+  xunit: XUnitReporter
+};
+
 /**
  * Stream
  */
@@ -3450,6 +5238,29 @@ class DOMStream extends Stream {
   }
 }
 
+/*
+ * Assertions
+ */
+
+const assertions = {
+  snapshot(value, hint) {
+    const mocha = Mocha.active;
+
+    if (!mocha)
+      throw stackError(assertions.snapshot, 'No test is running.');
+
+    mocha.snapshot(value, hint, assertions.snapshot);
+  }
+};
+
+/*
+ * Mocks
+ */
+
+const mock = new Mocker(() => {
+  return Mocha.active ? Mocha.active.owner() : null;
+});
+
 /*
  * API (without globals)
  */
@@ -3463,6 +5274,12 @@ for (const name of ['before',
                     'xdescribe',
                     'xit',
                     'specify',
+                    'suite',
+                    'test',
+                    'suiteSetup',
+                    'suiteTeardown',
+                    'setup',
+                    'teardown',
                     'run']) {
   Object.defineProperty(exports, name, {
     configurable: true,
@@ -3471,12 +5288,24 @@ for (const name of ['before',
   });
 }
 
+Object.defineProperty(exports, 'clock', {
+  configurable: true,
+  enumerable: true,
+  get: () => Mocha.active ? Mocha.active.clock : null
+});
+
 /*
  * Expose
  */
 
 exports.inspect = inspect;
 exports.style = style;
+exports.assert = assertions;
+exports.mock = mock;
+exports.interfaces = interfaces;
+exports.randomModes = randomModes;
+exports.shardStrategies = shardStrategies;
+exports.handleModes = handleModes;
 exports.errorify = errorify;
 exports.stackify = stackify;
 exports.Runnable = Runnable;
@@ -3490,6 +5319,8 @@ exports.MochaContext = MochaContext;
 exports.Context = Context;
 exports.Job = Job;
 exports.Stats = Stats;
+exports.Clock = Clock;
+exports.Mocker = Mocker;
 exports.Base = Base;
 exports.DocReporter = DocReporter;
 exports.DotReporter = DotReporter;
@@ -3504,6 +5335,10 @@ exports.ProgressReporter = ProgressReporter;
 exports.SpecReporter = SpecReporter;
 exports.TapReporter = TapReporter;
 exports.XUnitReporter = XUnitReporter;
+exports.Runner = Runner;
+exports.RunnerReporter = RunnerReporter;
+exports.MultiReporter = MultiReporter;
+exports.BufferReporter = BufferReporter;
 exports.Stream = Stream;
 exports.SendStream = SendStream;
 exports.ConsoleStream = ConsoleStream;
@@ -0,0 +1,315 @@
+/*!
+ * clock.js - fake timers for bmocha
+ * Copyright (c) 2018-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bmocha
+ */
+
+'use strict';
+
+const {assert} = require('./util');
+
+/*
+ * Globals
+ */
+
+const {
+  Date,
+  Error,
+  Math,
+  Number,
+  Object,
+  Symbol,
+  TypeError
+} = global;
+
+/*
+ * Constants
+ */
+
+const TIMERS = [
+  'setTimeout',
+  'clearTimeout',
+  'setInterval',
+  'clearInterval',
+  'setImmediate',
+  'clearImmediate',
+  'Date'
+];
+
+const LOOP_LIMIT = 1000;
+
+/**
+ * Timer
+ */
+
+class Timer {
+  constructor(id, func, args, time, interval) {
+    this.id = id;
+    this.func = func;
+    this.args = args;
+    this.time = time;
+    this.interval = interval;
+    this.refed = true;
+  }
+
+  ref() {
+    this.refed = true;
+    return this;
+  }
+
+  unref() {
+    this.refed = false;
+    return this;
+  }
+
+  hasRef() {
+    return this.refed;
+  }
+
+  [Symbol.toPrimitive]() {
+    return this.id;
+  }
+}
+
+/**
+ * Clock
+ */
+
+class Clock {
+  constructor() {
+    this.installed = false;
+    this.now = 0;
+    this.epoch = 0;
+    this.uid = 0;
+    this.timers = new Map();
+    this.saved = null;
+  }
+
+  time() {
+    return this.epoch + this.now;
+  }
+
+  install(now = Date.now()) {
+    if (now instanceof Date)
+      now = now.getTime();
+
+    assert(Number.isSafeInteger(now));
+
+    if (this.installed)
+      throw new Error('Clock is already installed.');
+
+    this.installed = true;
+    this.now = 0;
+    this.epoch = now;
+    this.saved = Object.create(null);
+
+    for (const name of TIMERS)
+      this.saved[name] = Object.getOwnPropertyDescriptor(global, name);
+
+    this.replace(global, 'setTimeout', (func, ms, ...args) => {
+      return this.add(func, args, ms, false);
+    });
+
+    this.replace(global, 'setInterval', (func, ms, ...args) => {
+      return this.add(func, args, ms, true);
+    });
+
+    this.replace(global, 'setImmediate', (func, ...args) => {
+      return this.add(func, args, -1, false);
+    });
+
+    this.replace(global, 'clearTimeout', timer => this.remove(timer));
+    this.replace(global, 'clearInterval', timer => this.remove(timer));
+    this.replace(global, 'clearImmediate', timer => this.remove(timer));
+    this.replace(global, 'Date', this.date());
+
+    if (global.performance) {
+      const {performance} = global;
+
+      this.saved.now = Object.getOwnPropertyDescriptor(performance, 'now');
+      this.replace(performance, 'now', () => this.now);
+    }
+
+    return this;
+  }
+
+  uninstall() {
+    if (!this.installed)
+      return this;
+
+    for (const name of TIMERS)
+      this.restore(global, name, this.saved[name]);
+
+    if (global.performance)
+      this.restore(global.performance, 'now', this.saved.now);
+
+    this.installed = false;
+    this.timers.clear();
+    this.saved = null;
+
+    return this;
+  }
+
+  replace(obj, name, value) {
+    Object.defineProperty(obj, name, {
+      configurable: true,
+      enumerable: false,
+      writable: true,
+      value
+    });
+  }
+
+  restore(obj, name, desc) {
+    if (desc)
+      Object.defineProperty(obj, name, desc);
+    else
+      delete obj[name];
+  }
+
+  date() {
+    const clock = this;
+
+    function ClockDate(...args) {
+      if (!new.target)
+        return new Date(clock.time()).toString();
+
+      if (args.length === 0)
+        return new Date(clock.time());
+
+      return new Date(...args);
+    }
+
+    ClockDate.prototype = Date.prototype;
+    ClockDate.now = () => clock.time();
+    ClockDate.parse = Date.parse;
+    ClockDate.UTC = Date.UTC;
+
+    return ClockDate;
+  }
+
+  add(func, args, ms, repeat) {
+    if (typeof func !== 'function')
+      throw new TypeError('Callback must be a function.');
+
+    // Immediates fire on the next tick of
+    // the clock. Everything else waits at
+    // least a millisecond, as in node.js.
+    const delay = ms < 0 ? 0 : Math.max(1, ms >>> 0);
+    const id = ++this.uid;
+    const timer = new Timer(id, func, args, this.now + delay,
+                            repeat ? delay : 0);
+
+    this.timers.set(id, timer);
+
+    return timer;
+  }
+
+  remove(timer) {
+    if (timer == null)
+      return;
+
+    this.timers.delete(Number(timer));
+  }
+
+  first(limit = Infinity) {
+    let first = null;
+
+    for (const timer of this.timers.values()) {
+      if (timer.time > limit)
+        continue;
+
+      if (!first
+          || timer.time < first.time
+          || (timer.time === first.time && timer.id < first.id)) {
+        first = timer;
+      }
+    }
+
+    return first;
+  }
+
+  fire(timer) {
+    assert(timer instanceof Timer);
+
+    this.now = Math.max(this.now, timer.time);
+
+    if (timer.interval > 0)
+      timer.time += timer.interval;
+    else
+      this.timers.delete(timer.id);
+
+    timer.func(...timer.args);
+  }
+
+  ensure() {
+    if (!this.installed)
+      throw new Error('Clock is not installed.');
+  }
+
+  tick(ms) {
+    this.ensure();
+
+    const end = this.now + (ms >>> 0);
+
+    for (;;) {
+      const timer = this.first(end);
+
+      if (!timer)
+        break;
+
+      this.fire(timer);
+    }
+
+    this.now = end;
+
+    return this.now;
+  }
+
+  next() {
+    this.ensure();
+
+    const timer = this.first();
+
+    if (timer)
+      this.fire(timer);
+
+    return this.now;
+  }
+
+  runAll() {
+    this.ensure();
+
+    for (let i = 0; i < LOOP_LIMIT; i++) {
+      const timer = this.first();
+
+      if (!timer)
+        return this.now;
+
+      this.fire(timer);
+    }
+
+    throw new Error(`Aborting after running ${LOOP_LIMIT} timers.`);
+  }
+
+  setSystemTime(now) {
+    this.ensure();
+
+    if (now instanceof Date)
+      now = now.getTime();
+
+    assert(Number.isSafeInteger(now));
+
+    // Only the wall clock moves. Timers
+    // and `performance.now()` are unaffected.
+    this.epoch = now - this.now;
+
+    return this;
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.Timer = Timer;
+exports.Clock = Clock;
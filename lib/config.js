@@ -0,0 +1,577 @@
+/*!
+ * config.js - yaml and jsonc config parsing for bmocha
+ * Copyright (c) 2018-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bmocha
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const {relative} = require('path');
+
+/*
+ * Constants
+ */
+
+const ESCAPES = {
+  __proto__: null,
+  '0': '\0',
+  'b': '\b',
+  'f': '\f',
+  'n': '\n',
+  'r': '\r',
+  't': '\t',
+  'v': '\v',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  ' ': ' '
+};
+
+/*
+ * YAML
+ */
+
+// A subset of YAML: block maps and lists,
+// flow `[...]` and `{...}` collections,
+// quoted and plain scalars, and comments.
+function parseYAML(text, name = 'YAML') {
+  assert(typeof text === 'string');
+  assert(typeof name === 'string');
+
+  const items = [];
+  const lines = text.replace(/^\uFEFF/, '')
+                    .replace(/\r\n?/g, '\n')
+                    .split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = stripComment(lines[i]).replace(/\s+$/, '');
+    const body = line.replace(/^\s+/, '');
+
+    if (body.length === 0)
+      continue;
+
+    if (body === '---' && items.length === 0)
+      continue;
+
+    if (body === '...')
+      break;
+
+    const indent = line.length - body.length;
+
+    if (line.substring(0, indent).includes('\t'))
+      throw new Error(`Invalid ${name} (line ${i + 1}).`);
+
+    items.push({ indent, text: body, line: i + 1 });
+  }
+
+  if (items.length === 0)
+    return {};
+
+  const parser = new YAMLParser(items, name);
+  const value = parser.parseBlock(items[0].indent);
+
+  if (parser.pos < items.length)
+    throw parser.error(items[parser.pos].line);
+
+  return value;
+}
+
+/**
+ * YAMLParser
+ */
+
+class YAMLParser {
+  constructor(items, name) {
+    this.items = items;
+    this.name = name;
+    this.pos = 0;
+  }
+
+  error(line) {
+    return new Error(`Invalid ${this.name} (line ${line}).`);
+  }
+
+  peek() {
+    if (this.pos >= this.items.length)
+      return null;
+
+    return this.items[this.pos];
+  }
+
+  parseBlock(indent) {
+    const item = this.peek();
+
+    if (isEntry(item.text))
+      return this.parseList(indent);
+
+    if (splitKey(item.text))
+      return this.parseMap(indent);
+
+    this.pos += 1;
+
+    return parseInline(item.text, () => this.error(item.line));
+  }
+
+  parseMap(indent) {
+    const out = {};
+
+    for (;;) {
+      const item = this.peek();
+
+      if (!item || item.indent !== indent || isEntry(item.text))
+        break;
+
+      const pair = splitKey(item.text);
+
+      if (!pair)
+        throw this.error(item.line);
+
+      const [key, rest] = pair;
+
+      if (Object.prototype.hasOwnProperty.call(out, key))
+        throw this.error(item.line);
+
+      this.pos += 1;
+
+      set(out, key, this.parseValue(rest, indent, item.line));
+    }
+
+    this.checkIndent(indent);
+
+    return out;
+  }
+
+  parseList(indent) {
+    const out = [];
+
+    for (;;) {
+      const item = this.peek();
+
+      if (!item || item.indent !== indent || !isEntry(item.text))
+        break;
+
+      const rest = item.text.substring(1).replace(/^\s+/, '');
+
+      if (rest.length === 0) {
+        this.pos += 1;
+        out.push(this.parseNested(indent));
+        continue;
+      }
+
+      // Collections may start on the
+      // same line as their entry.
+      if (isEntry(rest) || splitKey(rest)) {
+        const offset = indent + item.text.length - rest.length;
+
+        this.items[this.pos] = {
+          indent: offset,
+          text: rest,
+          line: item.line
+        };
+
+        out.push(this.parseBlock(offset));
+
+        continue;
+      }
+
+      this.pos += 1;
+
+      out.push(parseInline(rest, () => this.error(item.line)));
+    }
+
+    this.checkIndent(indent);
+
+    return out;
+  }
+
+  parseValue(rest, indent, line) {
+    if (rest.length > 0)
+      return parseInline(rest, () => this.error(line));
+
+    const next = this.peek();
+
+    // Lists may sit level with their key.
+    if (next && next.indent === indent && isEntry(next.text))
+      return this.parseList(indent);
+
+    return this.parseNested(indent);
+  }
+
+  parseNested(indent) {
+    const next = this.peek();
+
+    if (!next || next.indent <= indent)
+      return null;
+
+    return this.parseBlock(next.indent);
+  }
+
+  checkIndent(indent) {
+    const item = this.peek();
+
+    if (item && item.indent > indent)
+      throw this.error(item.line);
+  }
+}
+
+/*
+ * YAML Helpers
+ */
+
+function stripComment(line) {
+  let quote = null;
+  let prev = ' ';
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (quote) {
+      if (quote === '"' && ch === '\\')
+        i += 1;
+      else if (quote === '\'' && ch === '\'' && line[i + 1] === '\'')
+        i += 1;
+      else if (ch === quote)
+        quote = null;
+      continue;
+    }
+
+    if ((ch === '"' || ch === '\'') && /[\s:\-\[{,]/.test(prev))
+      quote = ch;
+    else if (ch === '#' && /\s/.test(prev))
+      return line.substring(0, i);
+
+    prev = ch;
+  }
+
+  return line;
+}
+
+function isEntry(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+function splitKey(text) {
+  let key, rest;
+
+  if (text[0] === '"' || text[0] === '\'') {
+    let end;
+
+    try {
+      [key, end] = readQuoted(text, 0);
+    } catch (e) {
+      return null;
+    }
+
+    rest = text.substring(end).replace(/^\s+/, '');
+
+    if (rest[0] !== ':' || (rest.length > 1 && !/\s/.test(rest[1])))
+      return null;
+
+    return [key, rest.substring(1).trim()];
+  }
+
+  if (/^[\[{&*!|>%@`]/.test(text))
+    return null;
+
+  const m = /^([^#]*?)\s*:(?:\s+(.*))?$/.exec(text);
+
+  if (!m || m[1].length === 0)
+    return null;
+
+  [, key, rest] = m;
+
+  return [key, rest != null ? rest.trim() : ''];
+}
+
+function parseInline(text, error) {
+  let value, end;
+
+  try {
+    if (text[0] === '[' || text[0] === '{')
+      [value, end] = readFlow(text, 0);
+    else if (text[0] === '"' || text[0] === '\'')
+      [value, end] = readQuoted(text, 0);
+    else
+      [value, end] = [readPlain(text), text.length];
+  } catch (e) {
+    throw error();
+  }
+
+  if (text.substring(end).trim().length > 0)
+    throw error();
+
+  return value;
+}
+
+function readQuoted(text, i) {
+  const quote = text[i];
+
+  let out = '';
+
+  for (i += 1; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote === '\'' && ch === '\'') {
+      if (text[i + 1] !== '\'')
+        return [out, i + 1];
+
+      out += '\'';
+      i += 1;
+
+      continue;
+    }
+
+    if (quote === '"' && ch === '"')
+      return [out, i + 1];
+
+    if (quote === '"' && ch === '\\') {
+      const next = text[++i];
+
+      if (next === 'x' || next === 'u') {
+        const size = next === 'x' ? 2 : 4;
+        const hex = text.substring(i + 1, i + 1 + size);
+
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== size)
+          throw new Error('Invalid escape.');
+
+        out += String.fromCharCode(parseInt(hex, 16));
+        i += size;
+
+        continue;
+      }
+
+      if (!(next in ESCAPES))
+        throw new Error('Invalid escape.');
+
+      out += ESCAPES[next];
+
+      continue;
+    }
+
+    out += ch;
+  }
+
+  throw new Error('Unterminated string.');
+}
+
+function readFlow(text, i) {
+  const open = text[i];
+  const close = open === '[' ? ']' : '}';
+  const out = open === '[' ? [] : {};
+
+  i = skip(text, i + 1);
+
+  while (text[i] !== close) {
+    let key = null;
+    let value;
+
+    if (open === '{') {
+      if (text[i] === '"' || text[i] === '\'')
+        [key, i] = readQuoted(text, i);
+      else
+        [key, i] = readToken(text, i, /[:,}]/);
+
+      i = skip(text, i);
+
+      if (text[i] !== ':')
+        throw new Error('Expected colon.');
+
+      i = skip(text, i + 1);
+    }
+
+    if (text[i] === '[' || text[i] === '{')
+      [value, i] = readFlow(text, i);
+    else if (text[i] === '"' || text[i] === '\'')
+      [value, i] = readQuoted(text, i);
+    else
+      [value, i] = readToken(text, i, /[,\]}]/, true);
+
+    if (open === '[')
+      out.push(value);
+    else
+      set(out, key, value);
+
+    i = skip(text, i);
+
+    if (text[i] === ',') {
+      i = skip(text, i + 1);
+      continue;
+    }
+
+    if (text[i] !== close)
+      throw new Error('Expected separator.');
+  }
+
+  return [out, i + 1];
+}
+
+function readToken(text, i, stop, plain = false) {
+  let j = i;
+
+  while (j < text.length && !stop.test(text[j]))
+    j += 1;
+
+  if (j >= text.length)
+    throw new Error('Unexpected end.');
+
+  const token = text.substring(i, j).trim();
+
+  if (token.length === 0 && !plain)
+    throw new Error('Expected key.');
+
+  return [plain ? readPlain(token) : token, j];
+}
+
+function readPlain(text) {
+  if (/^[&*!|>%@`]/.test(text))
+    throw new Error('Unsupported syntax.');
+
+  switch (text) {
+    case '':
+    case '~':
+    case 'null':
+    case 'Null':
+    case 'NULL':
+      return null;
+    case 'true':
+    case 'True':
+    case 'TRUE':
+      return true;
+    case 'false':
+    case 'False':
+    case 'FALSE':
+      return false;
+  }
+
+  if (/^[-+]?(?:0|[1-9][0-9]*)$/.test(text))
+    return parseInt(text, 10);
+
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text))
+    return parseFloat(text);
+
+  return text;
+}
+
+function set(obj, key, value) {
+  // Like JSON.parse, `__proto__` is an
+  // ordinary key rather than a setter.
+  Object.defineProperty(obj, key, {
+    configurable: true,
+    enumerable: true,
+    writable: true,
+    value
+  });
+}
+
+function skip(text, i) {
+  while (i < text.length && /\s/.test(text[i]))
+    i += 1;
+
+  return i;
+}
+
+/*
+ * JSONC
+ */
+
+function parseJSONC(text, name = 'JSONC') {
+  assert(typeof text === 'string');
+  assert(typeof name === 'string');
+
+  try {
+    return JSON.parse(stripJSONC(text));
+  } catch (e) {
+    throw new Error(`Invalid ${name}: ${e.message}`);
+  }
+}
+
+function stripJSONC(text) {
+  assert(typeof text === 'string');
+
+  // Comments become whitespace so
+  // that positions stay the same.
+  let out = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (ch === '"') {
+      const start = i;
+
+      for (i += 1; i < text.length; i++) {
+        if (text[i] === '\\')
+          i += 1;
+        else if (text[i] === '"')
+          break;
+      }
+
+      out += text.substring(start, i + 1);
+
+      continue;
+    }
+
+    if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') {
+        out += ' ';
+        i += 1;
+      }
+
+      out += text[i] || '';
+
+      continue;
+    }
+
+    if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+
+      out += text.substring(i, stop).replace(/[^\n]/g, ' ');
+      i = stop - 1;
+
+      continue;
+    }
+
+    out += ch;
+  }
+
+  // Drop trailing commas.
+  return out.replace(/"(?:[^"\\]|\\.)*"|,(\s*[\]}])/g, (all, rest) => {
+    return rest != null ? ` ${rest}` : all;
+  });
+}
+
+/*
+ * Reading
+ */
+
+function readYAML(file) {
+  assert(typeof file === 'string');
+
+  const text = fs.readFileSync(file, 'utf8');
+
+  return parseYAML(text, `YAML in ${label(file)}`);
+}
+
+function readJSONC(file) {
+  assert(typeof file === 'string');
+
+  const text = fs.readFileSync(file, 'utf8');
+
+  return parseJSONC(text, `JSONC in ${label(file)}`);
+}
+
+function label(file) {
+  return JSON.stringify(relative(process.cwd(), file) || file);
+}
+
+/*
+ * Expose
+ */
+
+exports.parseYAML = parseYAML;
+exports.parseJSONC = parseJSONC;
+exports.stripJSONC = stripJSONC;
+exports.readYAML = readYAML;
+exports.readJSONC = readJSONC;
@@ -0,0 +1,144 @@
+/*!
+ * env.js - dotenv parsing for bmocha
+ * Copyright (c) 2018-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bmocha
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+
+/*
+ * Constants
+ */
+
+const ESCAPES = {
+  __proto__: null,
+  'n': '\n',
+  'r': '\r',
+  't': '\t',
+  '"': '"',
+  '\\': '\\',
+  '$': '$'
+};
+
+/*
+ * Parsing
+ */
+
+function parseEnv(text, vars = {}, name = 'dotenv syntax') {
+  assert(typeof text === 'string');
+  assert(vars && typeof vars === 'object');
+  assert(typeof name === 'string');
+
+  const out = Object.create(null);
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+  const lookup = (key) => {
+    if (key in out)
+      return out[key];
+
+    if (vars[key] != null)
+      return String(vars[key]);
+
+    return '';
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const start = i + 1;
+    const line = lines[i].replace(/^\s+/, '');
+
+    if (line.length === 0 || line[0] === '#')
+      continue;
+
+    const match = /^(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*(.*)$/.exec(line);
+
+    if (!match)
+      throw new Error(`Invalid ${name} (line ${start}).`);
+
+    const [, key] = match;
+
+    let value = match[2];
+
+    if (value[0] === '"' || value[0] === '\'') {
+      const quote = value[0];
+
+      // Quoted values may span lines.
+      let body = value.substring(1);
+
+      while (!closes(body, quote)) {
+        if (++i >= lines.length)
+          throw new Error(`Unterminated quote in ${name} (line ${start}).`);
+
+        body += '\n' + lines[i];
+      }
+
+      const end = closes(body, quote) - 1;
+      const rest = body.substring(end + 1).trim();
+
+      if (rest.length > 0 && rest[0] !== '#')
+        throw new Error(`Invalid ${name} (line ${start}).`);
+
+      value = body.substring(0, end);
+
+      if (quote === '"')
+        value = expand(value, lookup, true);
+    } else {
+      // Unquoted values end at a comment.
+      value = value.replace(/(^|\s+)#.*$/, '').trim();
+      value = expand(value, lookup, false);
+    }
+
+    out[key] = value;
+  }
+
+  return out;
+}
+
+function closes(body, quote) {
+  assert(typeof body === 'string');
+
+  // Returns the index after the closing quote (or zero).
+  for (let i = 0; i < body.length; i++) {
+    if (quote === '"' && body[i] === '\\') {
+      i += 1;
+      continue;
+    }
+
+    if (body[i] === quote)
+      return i + 1;
+  }
+
+  return 0;
+}
+
+function expand(value, lookup, escapes) {
+  assert(typeof value === 'string');
+  assert(typeof lookup === 'function');
+
+  return value.replace(/\\(.)|\$\{([A-Za-z_]\w*)\}/gs, (all, ch, name) => {
+    if (name != null)
+      return lookup(name);
+
+    if (!escapes)
+      return ch === '$' ? '$' : all;
+
+    return ch in ESCAPES ? ESCAPES[ch] : all;
+  });
+}
+
+function readEnv(file, vars) {
+  assert(typeof file === 'string');
+
+  const text = fs.readFileSync(file, 'utf8');
+
+  return parseEnv(text, vars, `env file ${JSON.stringify(file)}`);
+}
+
+/*
+ * Expose
+ */
+
+exports.parseEnv = parseEnv;
+exports.readEnv = readEnv;
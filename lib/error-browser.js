@@ -232,6 +232,25 @@ function why() {
   return () => [];
 }
 
+function trackHandles(owner) {
+  return {
+    open: runnable => [],
+    release: (runnable) => {},
+    close: () => {}
+  };
+}
+
+function storage() {
+  return {
+    run: (store, func) => func(),
+    getStore: () => undefined
+  };
+}
+
+function getSource(file) {
+  return null;
+}
+
 /*
  * Helpers
  */
@@ -300,3 +319,6 @@ exports.getLine = getLine;
 exports.getLineByCall = getLineByCall;
 exports.cleanStack = cleanStack;
 exports.why = why;
+exports.trackHandles = trackHandles;
+exports.storage = storage;
+exports.getSource = getSource;
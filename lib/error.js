@@ -302,43 +302,150 @@ function why() {
     const out = [];
 
     for (const [type, calls] of active.values()) {
-      const stacks = [];
+      const stacks = getUserLines(calls);
 
-      for (let i = 1; i < calls.length; i++) {
-        const call = calls[i];
-        const filename = call.getFileName();
+      // Our `await nextTick()` call before calling calls().
+      if (stacks.length === 0 && type === 'Immediate')
+        continue;
 
-        if (!filename)
-          continue;
+      out.push([type, stacks]);
+    }
 
-        if (!filename.includes(sep))
-          continue;
+    return out;
+  };
+}
 
-        if (filename.startsWith('internal' + sep))
-          continue;
+function trackHandles(owner) {
+  const hooks = require('async_hooks');
+  const active = new Map();
+
+  // Resources which keep the process alive.
+  const types = new Set([
+    'Timeout',
+    'TCPWRAP',
+    'TCPSERVERWRAP',
+    'PIPEWRAP',
+    'PIPESERVERWRAP',
+    'UDPWRAP',
+    'PROCESSWRAP',
+    'FSEVENTWRAP',
+    'SIGNALWRAP',
+    'STATWATCHER'
+  ]);
+
+  const hook = hooks.createHook({
+    init(id, type, triggerId, resource) {
+      if (!types.has(type))
+        return;
 
-        const file = resolve(CWD, filename);
+      const runnable = owner();
 
-        if (file.startsWith(BIN_PATH))
+      if (runnable == null)
+        return;
+
+      const err = new Error('');
+      const calls = getCalls(err);
+
+      active.set(id, [runnable, type, calls, resource]);
+    },
+    destroy(id) {
+      active.delete(id);
+    }
+  });
+
+  hook.enable();
+
+  return {
+    open(runnable) {
+      const out = [];
+
+      for (const [id, item] of active) {
+        const [owner, type, calls, resource] = item;
+
+        if (owner !== runnable)
           continue;
 
-        if (file.startsWith(LIB_PATH))
+        active.delete(id);
+
+        // Unref'd handles don't hold anything up.
+        if (typeof resource.hasRef === 'function' && !resource.hasRef())
           continue;
 
-        stacks.push(getLineByCall(call));
+        out.push([type, getUserLines(calls)]);
       }
 
-      // Our `await nextTick()` call before calling calls().
-      if (stacks.length === 0 && type === 'Immediate')
-        continue;
-
-      out.push([type, stacks]);
+      return out;
+    },
+    release(runnable) {
+      for (const [id, [owner]] of active) {
+        if (owner === runnable)
+          active.delete(id);
+      }
+    },
+    close() {
+      hook.disable();
+      active.clear();
     }
-
-    return out;
   };
 }
 
+function getUserLines(calls) {
+  const stacks = [];
+
+  for (let i = 1; i < calls.length; i++) {
+    const call = calls[i];
+    const filename = call.getFileName();
+
+    if (!filename)
+      continue;
+
+    if (!filename.includes(sep))
+      continue;
+
+    if (filename.startsWith('internal' + sep))
+      continue;
+
+    if (filename.startsWith('node:'))
+      continue;
+
+    const file = resolve(CWD, filename);
+
+    if (file.startsWith(BIN_PATH))
+      continue;
+
+    if (file.startsWith(LIB_PATH))
+      continue;
+
+    stacks.push(getLineByCall(call));
+  }
+
+  return stacks;
+}
+
+function storage() {
+  const {AsyncLocalStorage} = require('async_hooks');
+
+  // Added in node v12.17.0.
+  if (typeof AsyncLocalStorage !== 'function') {
+    return {
+      run: (store, func) => func(),
+      getStore: () => undefined
+    };
+  }
+
+  return new AsyncLocalStorage();
+}
+
+function getSource(file) {
+  assert(typeof file === 'string');
+
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
 /*
  * Parsing
  */
@@ -539,3 +646,6 @@ exports.getLine = getLine;
 exports.getLineByCall = getLineByCall;
 exports.cleanStack = cleanStack;
 exports.why = why;
+exports.trackHandles = trackHandles;
+exports.storage = storage;
+exports.getSource = getSource;
@@ -45,6 +45,137 @@ imports.pathToFileURL = function pathToFileURL(path) {
   return path;
 };
 
+imports.resolve = function resolve(id, root = '.') {
+  const fs = require('fs');
+  const {join} = require('path');
+  const {paths} = require('./require');
+
+  if (typeof id !== 'string')
+    throw new TypeError('"id" must be a string.');
+
+  // Only bare specifiers go through `exports`.
+  const m = /^((?:@[^/\\]+\/)?[^./\\@][^/\\]*)(\/.*)?$/.exec(id);
+
+  if (!m)
+    return null;
+
+  const [, name, rest] = m;
+  const subpath = rest ? `.${rest}` : '.';
+
+  for (const dir of paths(root)) {
+    const file = join(dir, name, 'package.json');
+
+    let json;
+
+    try {
+      json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        continue;
+      throw e;
+    }
+
+    if (!json || json.exports == null)
+      return null;
+
+    const target = resolveExports(json.exports, subpath, conditions());
+
+    if (target == null || !target.startsWith('./'))
+      return null;
+
+    return join(dir, name, target);
+  }
+
+  return null;
+};
+
+/*
+ * Exports
+ */
+
+function conditions() {
+  const out = ['import', 'node', 'default'];
+  const argv = process.execArgv;
+
+  // Mirror node's own `--conditions`.
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg.startsWith('--conditions='))
+      out.push(arg.substring(13));
+    else if ((arg === '--conditions' || arg === '-C') && i + 1 < argv.length)
+      out.push(argv[++i]);
+  }
+
+  return out;
+}
+
+function resolveExports(exports, subpath, conditions) {
+  const keys = exports && typeof exports === 'object' && !Array.isArray(exports)
+    ? Object.keys(exports)
+    : [];
+
+  // Sugar for `{".": exports}`.
+  if (!keys.some(key => key.startsWith('.')))
+    exports = { '.': exports };
+
+  if (Object.prototype.hasOwnProperty.call(exports, subpath))
+    return resolveTarget(exports[subpath], conditions, null);
+
+  for (const key of Object.keys(exports)) {
+    const index = key.indexOf('*');
+
+    if (index === -1)
+      continue;
+
+    const prefix = key.substring(0, index);
+    const suffix = key.substring(index + 1);
+
+    if (subpath.length < key.length - 1)
+      continue;
+
+    if (!subpath.startsWith(prefix) || !subpath.endsWith(suffix))
+      continue;
+
+    const star = subpath.substring(prefix.length,
+                                   subpath.length - suffix.length);
+
+    return resolveTarget(exports[key], conditions, star);
+  }
+
+  return null;
+}
+
+function resolveTarget(target, conditions, star) {
+  if (typeof target === 'string')
+    return star != null ? target.replace(/\*/g, star) : target;
+
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      const result = resolveTarget(item, conditions, star);
+
+      if (result != null)
+        return result;
+    }
+
+    return null;
+  }
+
+  if (target && typeof target === 'object') {
+    for (const key of Object.keys(target)) {
+      if (!conditions.includes(key))
+        continue;
+
+      const result = resolveTarget(target[key], conditions, star);
+
+      if (result != null)
+        return result;
+    }
+  }
+
+  return null;
+}
+
 /*
  * Expose
  */
@@ -0,0 +1,319 @@
+/*!
+ * merge.js - report merging for bmocha
+ * Copyright (c) 2018-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bmocha
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const bmocha = require('./bmocha');
+const {decodeError} = require('./parallel');
+
+const {
+  Mocha,
+  Suite,
+  Hook,
+  Test
+} = bmocha;
+
+/*
+ * Constants
+ */
+
+const COUNTS = [
+  'suites',
+  'tests',
+  'passes',
+  'pending',
+  'todo',
+  'failures',
+  'expectedFailures'
+];
+
+const LISTS = [
+  'tests',
+  'pending',
+  'todo',
+  'failures',
+  'passes'
+];
+
+/*
+ * Reports
+ */
+
+function readReport(file) {
+  assert(typeof file === 'string');
+
+  const text = fs.readFileSync(file, 'utf8');
+
+  let json;
+
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid report: ${file} (${e.message}).`);
+  }
+
+  if (!isReport(json))
+    throw new Error(`Invalid report: ${file}.`);
+
+  return json;
+}
+
+function isReport(json) {
+  if (!json || typeof json !== 'object')
+    return false;
+
+  if (!json.stats || typeof json.stats !== 'object')
+    return false;
+
+  // Older reports have no todo list.
+  for (const key of LISTS) {
+    if (key !== 'todo' && !Array.isArray(json[key]))
+      return false;
+  }
+
+  return true;
+}
+
+function merge(reports) {
+  assert(Array.isArray(reports));
+
+  const stats = {
+    suites: 0,
+    tests: 0,
+    passes: 0,
+    pending: 0,
+    todo: 0,
+    failures: 0,
+    expectedFailures: 0,
+    start: new Date(0).toISOString(),
+    end: new Date(0).toISOString(),
+    duration: 0
+  };
+
+  const out = {
+    stats,
+    tests: [],
+    pending: [],
+    todo: [],
+    failures: [],
+    passes: []
+  };
+
+  let start = Infinity;
+  let end = -Infinity;
+
+  for (const report of reports) {
+    assert(isReport(report));
+
+    for (const key of COUNTS)
+      stats[key] += report.stats[key] >>> 0;
+
+    for (const key of LISTS)
+      out[key].push(...(report[key] || []));
+
+    start = Math.min(start, Date.parse(report.stats.start) || Infinity);
+    end = Math.max(end, Date.parse(report.stats.end) || -Infinity);
+  }
+
+  // Shards usually run side by side,
+  // so take the overall wall time.
+  if (start <= end) {
+    stats.start = new Date(start).toISOString();
+    stats.end = new Date(end).toISOString();
+    stats.duration = end - start;
+  }
+
+  return out;
+}
+
+/*
+ * Decoding
+ */
+
+function locate(json) {
+  const file = typeof json.file === 'string' ? json.file : null;
+  const title = String(json.title || '');
+
+  // Reports without title paths are
+  // rendered as one flat suite.
+  if (!Array.isArray(json.titlePath))
+    return [file, [], String(json.fullTitle || title)];
+
+  const path = json.titlePath.map(String);
+
+  return [file, path.slice(0, -1), title];
+}
+
+function decodeTest(suite, json, title) {
+  assert(suite instanceof Suite);
+  assert(json && typeof json === 'object');
+
+  const body = function() {};
+
+  let test;
+
+  if (json.type === 'hook') {
+    test = new Hook(suite, 'hook', '', body);
+    test.title = title;
+  } else {
+    test = new Test(suite, title, body);
+  }
+
+  let state = json.state;
+
+  if (state == null) {
+    const failed = json.err != null && Object.keys(json.err).length > 0;
+    state = failed ? 'failed' : 'passed';
+  }
+
+  test.retry = json.currentRetry >>> 0;
+  test.skip = state === 'pending';
+  test.reason = json.reason != null ? String(json.reason) : null;
+  test.tags = Array.isArray(json.tags) ? json.tags.map(String) : [];
+  test.todo = Boolean(json.todo);
+  test.fails = Boolean(json.fails);
+  test.fail = state === 'failed';
+  test.error = test.fail ? decodeErr(json.err) : null;
+  test.stats.duration = json.duration >>> 0;
+
+  if (json.slow != null)
+    test.slow = json.slow >>> 0;
+
+  return test;
+}
+
+function decodeErr(json) {
+  if (json == null || typeof json !== 'object')
+    return decodeError({ message: String(json || '') });
+
+  const name = String(json.name || 'Error');
+  const message = String(json.message || '');
+  const stack = String(json.stack || '');
+
+  // The stored stack has its message stripped.
+  return decodeError(Object.assign({}, json, {
+    stack: `${name}: ${message}\n${stack}`
+  }));
+}
+
+/**
+ * Replay
+ */
+
+class Replay {
+  constructor(report) {
+    assert(isReport(report));
+
+    this.report = report;
+    this.suites = [];
+  }
+
+  async run(mocha) {
+    assert(mocha instanceof Mocha);
+
+    const {stats, tests} = this.report;
+
+    mocha.stats.total = tests.filter(json => json.type !== 'hook').length;
+
+    // Preserve the recorded duration.
+    mocha.stats.start = Date.now() - (stats.duration >>> 0);
+
+    if (mocha.stats.total === 0)
+      return;
+
+    mocha.report.start(mocha);
+    mocha.suite.stats.mark();
+    mocha.suite.running = true;
+    mocha.report.suiteStart(mocha.suite);
+
+    for (const json of tests) {
+      if (!json || typeof json !== 'object')
+        continue;
+
+      const [file, path, title] = locate(json);
+      const suite = this.enter(mocha, file, path);
+      const test = decodeTest(suite, json, title);
+
+      test.file = file;
+
+      if (test instanceof Test) {
+        suite.tests.push(test);
+        mocha.report.testStart(test);
+      }
+
+      if (test.fail)
+        suite.fail(test);
+      else
+        suite.succeed(test);
+    }
+
+    this.enter(mocha, null, []);
+
+    mocha.stats.suites = Math.max(mocha.stats.suites, stats.suites >>> 0);
+
+    mocha.suite.stats.mark();
+    mocha.suite.running = false;
+    mocha.report.suiteEnd(mocha.suite);
+  }
+
+  enter(mocha, file, path) {
+    const {suites} = this;
+
+    let depth = 0;
+
+    while (depth < suites.length && depth < path.length) {
+      const suite = suites[depth];
+
+      if (suite.file !== file || suite.title !== path[depth])
+        break;
+
+      depth += 1;
+    }
+
+    while (suites.length > depth) {
+      const suite = suites.pop();
+
+      suite.stats.mark();
+      suite.running = false;
+
+      mocha.report.suiteEnd(suite);
+    }
+
+    let parent = suites.length > 0
+      ? suites[suites.length - 1]
+      : mocha.suite;
+
+    for (const title of path.slice(depth)) {
+      const suite = new Suite(parent, title);
+
+      suite.file = file;
+
+      parent.suites.push(suite);
+      suites.push(suite);
+
+      suite.running = true;
+      suite.stats.mark();
+
+      mocha.stats.suites += 1;
+      mocha.report.suiteStart(suite);
+
+      parent = suite;
+    }
+
+    return parent;
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.readReport = readReport;
+exports.isReport = isReport;
+exports.merge = merge;
+exports.Replay = Replay;
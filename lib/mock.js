@@ -0,0 +1,418 @@
+/*!
+ * mock.js - spies, stubs and mocks for bmocha
+ * Copyright (c) 2018-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bmocha
+ */
+
+'use strict';
+
+const {assert, noop, stackError} = require('./util');
+
+/*
+ * Globals
+ */
+
+const {
+  Array,
+  ArrayBuffer,
+  Date,
+  Error,
+  Map,
+  Object,
+  Reflect,
+  RegExp,
+  Set,
+  TypeError,
+  Uint8Array
+} = global;
+
+/**
+ * Call
+ */
+
+class Call {
+  constructor(self, args) {
+    this.this = self;
+    this.args = args;
+    this.result = undefined;
+    this.error = null;
+    this.threw = false;
+  }
+}
+
+/**
+ * Mock
+ */
+
+class Mock {
+  constructor(name, impl) {
+    assert(typeof name === 'string');
+    assert(typeof impl === 'function');
+
+    this.name = name;
+    this.impl = impl;
+    this.calls = [];
+    this.undo = null;
+  }
+
+  get callCount() {
+    return this.calls.length;
+  }
+
+  get called() {
+    return this.calls.length > 0;
+  }
+
+  get lastCall() {
+    if (this.calls.length === 0)
+      return null;
+
+    return this.calls[this.calls.length - 1];
+  }
+
+  call(self, args, target) {
+    const call = new Call(self, args);
+
+    this.calls.push(call);
+
+    try {
+      if (target)
+        call.result = Reflect.construct(this.impl, args, target);
+      else
+        call.result = this.impl.apply(self, args);
+    } catch (e) {
+      call.error = e;
+      call.threw = true;
+      throw e;
+    }
+
+    return call.result;
+  }
+
+  implement(impl) {
+    if (typeof impl !== 'function')
+      throw new TypeError('Implementation must be a function.');
+
+    this.impl = impl;
+
+    return this;
+  }
+
+  returns(value) {
+    return this.implement(() => value);
+  }
+
+  throws(error) {
+    return this.implement(() => {
+      throw error;
+    });
+  }
+
+  reset() {
+    this.calls.length = 0;
+    return this;
+  }
+
+  restore() {
+    if (this.undo) {
+      this.undo();
+      this.undo = null;
+    }
+
+    return this;
+  }
+
+  assertCalled(times) {
+    if (times == null) {
+      if (!this.called) {
+        throw mismatch(this.assertCalled,
+          `Expected ${this.name} to be called.`);
+      }
+
+      return this;
+    }
+
+    if (this.callCount !== times) {
+      throw mismatch(this.assertCalled,
+        `Expected ${this.name} to be called ${times} time(s).`,
+        this.callCount, times, 'strictEqual');
+    }
+
+    return this;
+  }
+
+  assertNotCalled() {
+    if (this.called) {
+      throw mismatch(this.assertNotCalled,
+        `Expected ${this.name} not to be called.`,
+        this.callCount, 0, 'strictEqual');
+    }
+
+    return this;
+  }
+
+  assertCalledWith(...args) {
+    const {lastCall} = this;
+
+    if (!lastCall) {
+      throw mismatch(this.assertCalledWith,
+        `Expected ${this.name} to be called with arguments.`);
+    }
+
+    for (const call of this.calls) {
+      if (isEqual(call.args, args))
+        return this;
+    }
+
+    // Compare against the most recent
+    // call as it's usually the relevant one.
+    throw mismatch(this.assertCalledWith,
+      `Expected ${this.name} to be called with matching arguments.`,
+      lastCall.args, args, 'deepStrictEqual');
+  }
+}
+
+/**
+ * Mocker
+ */
+
+class Mocker {
+  constructor(owner) {
+    assert(typeof owner === 'function');
+
+    // Returns the runnable which should
+    // undo our replacements when done.
+    this.owner = owner;
+
+    // Usable when destructured.
+    this.fn = this.fn.bind(this);
+    this.spyOn = this.spyOn.bind(this);
+    this.replace = this.replace.bind(this);
+  }
+
+  fn(impl) {
+    if (impl == null)
+      return this.wrap(new Mock('mock', noop));
+
+    if (typeof impl !== 'function')
+      throw new TypeError('Implementation must be a function.');
+
+    return this.wrap(new Mock(impl.name || 'mock', impl));
+  }
+
+  spyOn(obj, method) {
+    if (!isObject(obj))
+      throw new TypeError('Cannot spy on a non-object.');
+
+    const original = obj[method];
+
+    if (typeof original !== 'function')
+      throw new TypeError(`Cannot spy on ${String(method)}.`);
+
+    const mock = new Mock(String(method), original);
+    const spy = this.wrap(mock);
+
+    mock.undo = this.swap(obj, method, spy);
+
+    return spy;
+  }
+
+  replace(obj, prop, value) {
+    if (!isObject(obj))
+      throw new TypeError('Cannot replace on a non-object.');
+
+    let undo = this.swap(obj, prop, value);
+
+    return () => {
+      if (undo) {
+        undo();
+        undo = null;
+      }
+    };
+  }
+
+  wrap(mock) {
+    assert(mock instanceof Mock);
+
+    const spy = function(...args) {
+      return mock.call(this, args, new.target);
+    };
+
+    Object.defineProperty(spy, 'name', {
+      configurable: true,
+      value: mock.name
+    });
+
+    spy.mock = mock;
+
+    return spy;
+  }
+
+  swap(obj, prop, value) {
+    const desc = Object.getOwnPropertyDescriptor(obj, prop);
+
+    if (desc && !desc.configurable && !desc.writable)
+      throw new TypeError(`Cannot replace ${String(prop)}.`);
+
+    if (desc && desc.configurable) {
+      Object.defineProperty(obj, prop, {
+        configurable: true,
+        enumerable: desc.enumerable,
+        writable: true,
+        value
+      });
+    } else if (desc) {
+      obj[prop] = value;
+    } else {
+      Object.defineProperty(obj, prop, {
+        configurable: true,
+        enumerable: false,
+        writable: true,
+        value
+      });
+    }
+
+    let done = false;
+
+    const undo = () => {
+      if (done)
+        return;
+
+      done = true;
+
+      if (!desc)
+        delete obj[prop];
+      else if (desc.configurable)
+        Object.defineProperty(obj, prop, desc);
+      else
+        obj[prop] = desc.value;
+    };
+
+    const owner = this.owner();
+
+    // Outside of a test, the caller
+    // is left to restore things.
+    if (owner)
+      owner.defer(undo);
+
+    return undo;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function isObject(obj) {
+  return obj != null && (typeof obj === 'object'
+                      || typeof obj === 'function');
+}
+
+function mismatch(start, message, actual, expected, operator) {
+  const err = stackError(start, message);
+
+  err.name = 'AssertionError';
+  err.code = 'ERR_ASSERTION';
+  err.generatedMessage = false;
+
+  // Rendered as a diff by the reporter.
+  if (operator) {
+    err.actual = actual;
+    err.expected = expected;
+    err.operator = operator;
+  }
+
+  return err;
+}
+
+function isEqual(a, b, seen = new Map()) {
+  if (Object.is(a, b))
+    return true;
+
+  if (!isObject(a) || !isObject(b))
+    return false;
+
+  if (typeof a === 'function' || typeof b === 'function')
+    return false;
+
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))
+    return false;
+
+  if (seen.get(a) === b)
+    return true;
+
+  seen.set(a, b);
+
+  if (a instanceof Date)
+    return a.getTime() === b.getTime();
+
+  if (a instanceof RegExp)
+    return String(a) === String(b);
+
+  if (a instanceof Error) {
+    if (a.name !== b.name || a.message !== b.message)
+      return false;
+  }
+
+  if (ArrayBuffer.isView(a)) {
+    if (a.byteLength !== b.byteLength)
+      return false;
+
+    const x = new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+    const y = new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+
+    for (let i = 0; i < x.length; i++) {
+      if (x[i] !== y[i])
+        return false;
+    }
+
+    return true;
+  }
+
+  if (a instanceof Map) {
+    if (a.size !== b.size)
+      return false;
+
+    for (const [key, value] of a) {
+      if (!b.has(key) || !isEqual(value, b.get(key), seen))
+        return false;
+    }
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size)
+      return false;
+
+    for (const value of a) {
+      if (!b.has(value))
+        return false;
+    }
+  }
+
+  if (Array.isArray(a) && a.length !== b.length)
+    return false;
+
+  const keys = Object.keys(a);
+
+  if (keys.length !== Object.keys(b).length)
+    return false;
+
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(b, key))
+      return false;
+
+    if (!isEqual(a[key], b[key], seen))
+      return false;
+  }
+
+  return true;
+}
+
+/*
+ * Expose
+ */
+
+exports.Call = Call;
+exports.Mock = Mock;
+exports.Mocker = Mocker;
+exports.isEqual = isEqual;
@@ -0,0 +1,786 @@
+/*!
+ * parallel.js - parallel test runner for bmocha
+ * Copyright (c) 2018-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bmocha
+ */
+
+'use strict';
+
+const assert = require('assert');
+const cp = require('child_process');
+const path = require('path');
+const bmocha = require('./bmocha');
+const util = require('./util');
+
+const {
+  Mocha,
+  Suite,
+  Executable,
+  Hook,
+  Test,
+  Base
+} = bmocha;
+
+const {
+  get,
+  getJSON,
+  noop,
+  toError
+} = util;
+
+/*
+ * Globals
+ */
+
+const {
+  Array,
+  Error,
+  Object,
+  String
+} = global;
+
+/*
+ * Constants
+ */
+
+const WORKER_PATH = path.resolve(__dirname, '..', 'bin', '_bmocha');
+
+const ERROR_PROPS = [
+  'name',
+  'message',
+  'stack',
+  'code',
+  'generatedMessage',
+  'operator',
+  'showDiff',
+  'uncaught',
+  'rejection',
+  'exception',
+  'late',
+  'multiple',
+  'display'
+];
+
+const VALUE_PROPS = [
+  'actual',
+  'expected',
+  'value'
+];
+
+/*
+ * Serialization
+ */
+
+function encodeError(error) {
+  if (error == null)
+    return null;
+
+  const err = toError(error);
+  const json = Object.create(null);
+
+  for (const key of ERROR_PROPS) {
+    const value = getJSON(err, key);
+
+    if (value !== undefined)
+      json[key] = value;
+  }
+
+  // Values are sent through the structured
+  // clone algorithm where available. Anything
+  // which cannot be cloned is not diffable.
+  for (const key of VALUE_PROPS) {
+    if (!util.has(err, key))
+      continue;
+
+    const value = get(err, key);
+
+    if (!isCloneable(value)) {
+      json.showDiff = false;
+      json.display = false;
+      continue;
+    }
+
+    json[key] = value;
+  }
+
+  if (util.isFindable(err)) {
+    const target = get(err, 'multiple') === true
+      ? get(err, 'value')
+      : err;
+
+    const frame = util.find(target);
+
+    if (frame)
+      json.frame = frame;
+  }
+
+  return json;
+}
+
+function decodeError(json) {
+  if (json == null)
+    return null;
+
+  assert(typeof json === 'object');
+
+  const err = new Error(String(json.message || ''));
+
+  for (const key of Object.keys(json)) {
+    if (key === 'message' || key === 'frame')
+      continue;
+
+    try {
+      err[key] = json[key];
+    } catch (e) {
+      ;
+    }
+  }
+
+  if (typeof json.frame === 'string') {
+    util.setFrame(err, json.frame);
+
+    if (json.multiple === true && util.isObject(err.value))
+      util.setFrame(err.value, json.frame);
+  }
+
+  return err;
+}
+
+function encodeTest(test) {
+  assert(test instanceof Executable);
+
+  return {
+    type: test instanceof Hook ? 'hook' : 'test',
+    name: test.name,
+    title: test.title,
+    file: test.file,
+    body: String(test.body),
+    slow: test.slow,
+    timeout: test.timeout,
+    retries: test.retries,
+    retry: test.retry,
+    only: test.only,
+    skip: test.skip,
+    reason: test.reason,
+    tags: test.tags,
+    todo: test.todo,
+    fails: test.fails,
+    fail: test.fail,
+    start: test.stats.start,
+    end: test.stats.end,
+    duration: test.stats.duration,
+    error: test.fail ? encodeError(test.error) : null,
+    swallowed: encodeError(test.swallowed),
+    warnings: test.warnings.map(encodeError)
+  };
+}
+
+function decodeTest(suite, json) {
+  assert(suite instanceof Suite);
+  assert(json && typeof json === 'object');
+
+  const body = restoreBody(json.body);
+
+  let test;
+
+  if (json.type === 'hook') {
+    test = new Hook(suite, 'hook', '', body);
+    test.name = String(json.name);
+  } else {
+    test = new Test(suite, String(json.title), body);
+  }
+
+  return updateTest(test, json);
+}
+
+function updateTest(test, json) {
+  assert(test instanceof Executable);
+  assert(json && typeof json === 'object');
+
+  test.title = String(json.title);
+  test.file = json.file != null ? String(json.file) : null;
+  test.slow = json.slow >>> 0;
+  test.timeout = json.timeout >>> 0;
+  test.retries = json.retries >>> 0;
+  test.retry = json.retry >>> 0;
+  test.only = Boolean(json.only);
+  test.skip = Boolean(json.skip);
+  test.reason = json.reason != null ? String(json.reason) : null;
+  test.tags = Array.isArray(json.tags) ? json.tags.map(String) : [];
+  test.todo = Boolean(json.todo);
+  test.fails = Boolean(json.fails);
+  test.fail = Boolean(json.fail);
+  test.error = decodeError(json.error);
+  test.swallowed = decodeError(json.swallowed);
+  test.warnings = Array.isArray(json.warnings)
+    ? json.warnings.map(decodeError)
+    : [];
+  test.stats.start = json.start;
+  test.stats.end = json.end;
+  test.stats.duration = json.duration;
+
+  return test;
+}
+
+function restoreBody(code) {
+  const body = function() {};
+
+  // Reporters like `doc` and `markdown`
+  // print the function body. Preserve it.
+  body.toString = () => String(code);
+
+  return body;
+}
+
+function isCloneable(value) {
+  let v8;
+
+  try {
+    v8 = require('v8');
+  } catch (e) {
+    return false;
+  }
+
+  if (typeof v8.serialize !== 'function')
+    return false;
+
+  try {
+    v8.serialize(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * WorkerReporter
+ */
+
+class WorkerReporter extends Base {
+  constructor(stream, options) {
+    super(stream, options);
+
+    assert(typeof this.options.send === 'function');
+
+    this.send = this.options.send;
+  }
+
+  start(mocha) {
+    this.send(['start', { total: this.stats.total }]);
+  }
+
+  suiteStart(suite) {
+    this.send(['suiteStart', {
+      root: suite.root,
+      title: suite.title,
+      file: suite.file,
+      start: suite.stats.start
+    }]);
+  }
+
+  testStart(test) {
+    this.send(['testStart', encodeTest(test)]);
+  }
+
+  testEnd(test) {
+    this.send(['testEnd', encodeTest(test)]);
+  }
+
+  suiteEnd(suite) {
+    this.send(['suiteEnd', {
+      root: suite.root,
+      start: suite.stats.start,
+      end: suite.stats.end,
+      duration: suite.stats.duration
+    }]);
+  }
+
+  exception(error) {
+    this.send(['exception', encodeError(error)]);
+  }
+}
+
+WorkerReporter.id = 'worker';
+
+/**
+ * Task
+ */
+
+class Task {
+  constructor(file) {
+    assert(typeof file === 'string');
+
+    this.file = file;
+    this.total = -1;
+    this.events = [];
+    this.done = false;
+    this.suites = [];
+  }
+}
+
+/**
+ * Pool
+ */
+
+class Pool {
+  constructor(options) {
+    assert(options && typeof options === 'object');
+    assert(Array.isArray(options.files));
+    assert((options.jobs >>> 0) === options.jobs);
+
+    this.options = options;
+    this.jobs = Math.max(1, Math.min(options.jobs, options.files.length));
+    this.tasks = options.files.map(file => new Task(file));
+    this.queue = this.tasks.slice();
+    this.workers = new Set();
+    this.mocha = null;
+    this.started = false;
+    this.stopped = false;
+    this.head = 0;
+    this.resolve = null;
+  }
+
+  async run(mocha) {
+    assert(mocha instanceof Mocha);
+
+    this.mocha = mocha;
+
+    if (this.tasks.length === 0)
+      return undefined;
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+
+      for (let i = 0; i < this.jobs; i++)
+        this.spawn();
+    });
+  }
+
+  spawn() {
+    const options = {
+      cwd: process.cwd(),
+      env: process.env,
+      execArgv: process.execArgv,
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    };
+
+    // Preserve buffers, maps, sets, etc.
+    // for diffs if we're able to.
+    if (isCloneable(null))
+      options.serialization = 'advanced';
+
+    const child = cp.fork(WORKER_PATH, ['--worker'], options);
+    const worker = { child, task: null };
+
+    this.workers.add(worker);
+
+    child.on('error', (err) => {
+      this.crash(worker, err);
+    });
+
+    child.on('exit', (code, signal) => {
+      const err = new Error('Worker exited unexpectedly '
+                          + `(code=${code}, signal=${signal}).`);
+      this.crash(worker, err);
+    });
+
+    child.on('message', (msg) => {
+      try {
+        this.handle(worker, msg);
+      } catch (e) {
+        this.crash(worker, e);
+      }
+    });
+
+    child.send(['init', this.options.worker]);
+
+    this.next(worker);
+
+    return worker;
+  }
+
+  next(worker) {
+    if (this.stopped || this.queue.length === 0) {
+      this.close(worker);
+      return;
+    }
+
+    const task = this.queue.shift();
+
+    worker.task = task;
+    worker.child.send(['run', task.file]);
+  }
+
+  close(worker) {
+    if (!this.workers.has(worker))
+      return;
+
+    this.workers.delete(worker);
+
+    worker.child.removeAllListeners('exit');
+    worker.child.on('exit', noop);
+    worker.child.on('error', noop);
+
+    if (worker.child.connected)
+      worker.child.disconnect();
+
+    if (this.stopped)
+      worker.child.kill('SIGTERM');
+
+    this.maybeFinish();
+  }
+
+  crash(worker, err) {
+    if (!this.workers.has(worker))
+      return;
+
+    const {task} = worker;
+
+    worker.task = null;
+
+    this.close(worker);
+
+    if (task && !task.done) {
+      err.message += ` While running: ${task.file}.`;
+      task.events.push(['exception', encodeError(err)]);
+      task.done = true;
+
+      if (task.total === -1)
+        task.total = 0;
+
+      this.flush();
+
+      // Replace the dead worker.
+      if (!this.stopped && this.queue.length > 0)
+        this.spawn();
+    }
+
+    this.maybeFinish();
+  }
+
+  handle(worker, msg) {
+    assert(Array.isArray(msg));
+
+    const [type, data] = msg;
+    const {task} = worker;
+
+    switch (type) {
+      case 'event': {
+        const [name, json] = data;
+
+        // Errors which occur in between
+        // files have no owner. Report now.
+        if (!task) {
+          if (name === 'exception')
+            this.mocha.error(decodeError(json));
+          break;
+        }
+
+        if (name === 'start')
+          task.total = json.total >>> 0;
+
+        if (name === 'testEnd' && json.fail && this.mocha.bail)
+          this.stopped = true;
+
+        task.events.push(data);
+
+        break;
+      }
+
+      case 'done': {
+        assert(task);
+
+        if (task.total === -1)
+          task.total = data.total >>> 0;
+
+        for (const error of data.errors)
+          task.events.push(['error', error]);
+
+        if (data.snapshots && this.mocha.snapshots)
+          this.mocha.snapshots.merge(data.snapshots);
+
+        task.done = true;
+        worker.task = null;
+
+        this.next(worker);
+
+        break;
+      }
+
+      default: {
+        throw new Error(`Unknown worker message: ${type}.`);
+      }
+    }
+
+    this.flush();
+  }
+
+  flush() {
+    const {mocha} = this;
+
+    if (!this.started) {
+      // Reporters (tap, progress, etc) need to
+      // know the total up front. Wait until every
+      // file has been loaded by a worker.
+      let total = 0;
+
+      for (const task of this.tasks) {
+        if (task.total === -1 && !this.stopped)
+          return;
+
+        total += Math.max(0, task.total);
+      }
+
+      this.started = true;
+
+      mocha.stats.total = total;
+
+      if (mocha.stats.total > 0) {
+        mocha.report.start(mocha);
+        mocha.suite.stats.mark();
+        mocha.suite.running = true;
+        mocha.report.suiteStart(mocha.suite);
+      }
+    }
+
+    while (this.head < this.tasks.length) {
+      const task = this.tasks[this.head];
+
+      while (task.events.length > 0) {
+        const event = task.events.shift();
+
+        if (!this.replay(task, event))
+          this.stop();
+      }
+
+      if (!task.done)
+        break;
+
+      this.head += 1;
+    }
+
+    this.maybeFinish();
+  }
+
+  replay(task, [name, json]) {
+    const {mocha} = this;
+
+    if (mocha.isAborting)
+      return true;
+
+    const suite = task.suites.length > 0
+      ? task.suites[task.suites.length - 1]
+      : mocha.suite;
+
+    switch (name) {
+      case 'start': {
+        break;
+      }
+
+      case 'suiteStart': {
+        if (json.root)
+          break;
+
+        const child = new Suite(suite, String(json.title));
+
+        child.file = json.file != null ? String(json.file) : null;
+
+        suite.suites.push(child);
+        task.suites.push(child);
+
+        child.running = true;
+        child.stats.start = json.start;
+
+        mocha.stats.suites += 1;
+        mocha.report.suiteStart(child);
+
+        break;
+      }
+
+      case 'testStart': {
+        const test = decodeTest(suite, json);
+
+        suite.tests.push(test);
+        task.test = test;
+
+        mocha.report.testStart(test);
+
+        break;
+      }
+
+      case 'testEnd': {
+        let test = task.test;
+
+        if (json.type === 'hook' || !test || test.title !== json.title)
+          test = decodeTest(suite, json);
+        else
+          updateTest(test, json);
+
+        task.test = null;
+
+        if (test.fail)
+          return suite.fail(test);
+
+        suite.succeed(test);
+
+        break;
+      }
+
+      case 'suiteEnd': {
+        if (json.root)
+          break;
+
+        task.suites.pop();
+
+        suite.running = false;
+        suite.stats.start = json.start;
+        suite.stats.end = json.end;
+        suite.stats.duration = json.duration;
+
+        mocha.report.suiteEnd(suite);
+
+        break;
+      }
+
+      case 'exception':
+      case 'error': {
+        const err = decodeError(json);
+
+        if (name === 'exception') {
+          err.uncaught = true;
+          err.exception = true;
+        }
+
+        mocha.error(err);
+
+        break;
+      }
+    }
+
+    return true;
+  }
+
+  stop() {
+    if (this.head < this.tasks.length)
+      this.head = this.tasks.length;
+
+    this.stopped = true;
+
+    for (const worker of this.workers)
+      this.close(worker);
+
+    this.maybeFinish();
+  }
+
+  maybeFinish() {
+    if (!this.resolve)
+      return;
+
+    if (this.workers.size > 0)
+      return;
+
+    if (this.head < this.tasks.length) {
+      // Workers have exited but data remains.
+      if (!this.stopped && this.queue.length > 0)
+        return;
+
+      for (const task of this.tasks)
+        task.done = true;
+
+      this.stopped = true;
+      this.flush();
+
+      return;
+    }
+
+    const {mocha} = this;
+    const resolve = this.resolve;
+
+    this.resolve = null;
+
+    if (this.started && mocha.stats.total > 0) {
+      mocha.suite.stats.mark();
+      mocha.suite.running = false;
+      mocha.report.suiteEnd(mocha.suite);
+    }
+
+    resolve();
+  }
+}
+
+/*
+ * Worker
+ */
+
+async function work(options) {
+  assert(options && typeof options === 'object');
+  assert(typeof options.load === 'function');
+
+  const send = (msg) => {
+    if (process.connected)
+      process.send(msg);
+  };
+
+  let mocha = null;
+  let config = null;
+  let queue = Promise.resolve();
+
+  const init = async (json) => {
+    config = json;
+    mocha = new Mocha(Object.assign({}, json, {
+      reporter: WorkerReporter,
+      reporterOptions: {
+        send: event => send(['event', event])
+      }
+    }));
+
+    await options.init(mocha, json);
+  };
+
+  const run = async (file) => {
+    const code = await mocha.run(options.load(file, config));
+
+    send(['done', {
+      code,
+      total: mocha.stats.total,
+      errors: mocha.errors.map(encodeError),
+      snapshots: mocha.snapshots
+        ? mocha.snapshots.summary.toJSON()
+        : null
+    }]);
+  };
+
+  process.on('disconnect', () => {
+    process.exit();
+  });
+
+  process.on('message', ([type, data]) => {
+    queue = queue.then(() => {
+      switch (type) {
+        case 'init':
+          return init(data);
+        case 'run':
+          return run(data);
+      }
+      throw new Error(`Unknown message: ${type}.`);
+    }).catch((err) => {
+      if (mocha && mocha.report)
+        mocha.report.exception(err);
+      process.exitCode = 1;
+      process.disconnect();
+    });
+  });
+}
+
+/*
+ * Expose
+ */
+
+exports.encodeError = encodeError;
+exports.decodeError = decodeError;
+exports.encodeTest = encodeTest;
+exports.decodeTest = decodeTest;
+exports.WorkerReporter = WorkerReporter;
+exports.Task = Task;
+exports.Pool = Pool;
+exports.work = work;
@@ -55,6 +55,7 @@ function globalResolve(id, root = '.') {
 };
 
 globalRequire.resolve = globalResolve;
+globalRequire.paths = nodeModulePaths;
 
 /*
  * Helpers
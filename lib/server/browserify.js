@@ -14,6 +14,7 @@ const {StringDecoder} = require('string_decoder');
 const esm = require('../esm');
 const {pathToFileURL} = require('../imports');
 const globalRequire = require('../require');
+const {parseHeader} = require('../util');
 const {resolve, isAbsolute} = path;
 
 /*
@@ -139,6 +140,14 @@ function convert(options, target = 'cjs') {
   const requires = [];
   const functions = [];
 
+  // Files may opt out of the browser.
+  const files = options.files.filter((file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    const header = parseHeader(text, file);
+
+    return !header || header.browser;
+  });
+
   for (const file of options.requires) {
     const [type, path] = handleRequire(file, target);
     const json = JSON.stringify(path);
@@ -147,12 +156,12 @@ function convert(options, target = 'cjs') {
   }
 
   if (target === 'esm') {
-    for (const file of options.files) {
+    for (const file of files) {
       const path = pathToFileURL(file);
       functions.push(`() => import(${JSON.stringify(path)})`);
     }
   } else {
-    for (const file of options.files)
+    for (const file of files)
       functions.push(`() => require(${JSON.stringify(file)})`);
   }
 
@@ -187,7 +196,9 @@ function convert(options, target = 'cjs') {
       diff: options.diff,
       dryRun: options.dryRun,
       env: options.env,
+      excludeTag: options.excludeTag,
       exit: options.exit,
+      failLate: options.failLate,
       failZero: options.failZero,
       fgrep: options.fgrep,
       forbidOnly: options.forbidOnly,
@@ -198,15 +209,22 @@ function convert(options, target = 'cjs') {
       headless: options.headless,
       invert: options.invert,
       isTTY: Boolean(options.stream.isTTY),
+      maxConcurrency: options.maxConcurrency,
       reporterOptions: options.reporterOptions,
       globals: options.globals,
+      random: options.random,
       reporter: options.reporter,
       retries: options.retries,
+      seed: options.seed,
+      shard: options.shard,
       slow: options.slow,
       stream: null,
       swallow: options.swallow,
+      tag: options.tag,
       timeout: options.timeout,
       timeouts: options.timeouts,
+      ui: options.ui,
+      warnLate: options.warnLate,
       why: options.why,
       windows: options.windows
     }, null, 2),
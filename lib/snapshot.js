@@ -0,0 +1,371 @@
+/*!
+ * snapshot.js - snapshot testing for bmocha
+ * Copyright (c) 2018-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bmocha
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const inspect = require('./inspect');
+
+const {
+  basename,
+  dirname,
+  join,
+  relative
+} = path;
+
+/*
+ * Constants
+ */
+
+const HEADER = '// bmocha snapshot v1';
+
+/**
+ * SnapshotFile
+ */
+
+class SnapshotFile {
+  constructor(file) {
+    assert(typeof file === 'string');
+
+    this.file = file;
+    this.path = join(dirname(file), '__snapshots__', basename(file) + '.snap');
+    this.data = new Map();
+    this.used = new Set();
+    this.dirty = false;
+  }
+
+  read() {
+    let code;
+
+    try {
+      code = fs.readFileSync(this.path, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return this;
+      throw e;
+    }
+
+    const exports = Object.create(null);
+
+    vm.runInNewContext(code, { exports }, { filename: this.path });
+
+    for (const key of Object.keys(exports)) {
+      const value = exports[key];
+
+      if (typeof value !== 'string')
+        throw new Error(`Invalid snapshot in ${this.path}: ${key}.`);
+
+      // Strip the surrounding newlines.
+      this.data.set(key, value.slice(1, -1));
+    }
+
+    return this;
+  }
+
+  write() {
+    if (!this.dirty)
+      return this;
+
+    this.dirty = false;
+
+    if (this.data.size === 0) {
+      try {
+        fs.unlinkSync(this.path);
+      } catch (e) {
+        if (e.code !== 'ENOENT')
+          throw e;
+      }
+      return this;
+    }
+
+    const keys = Array.from(this.data.keys()).sort();
+
+    let out = HEADER + '\n';
+
+    for (const key of keys) {
+      const value = this.data.get(key);
+
+      out += '\n';
+      out += `exports[\`${escape(key)}\`] = \`\n${escape(value)}\n\`;\n`;
+    }
+
+    mkdirp(dirname(this.path));
+    fs.writeFileSync(this.path, out);
+
+    return this;
+  }
+
+  has(key) {
+    return this.data.has(key);
+  }
+
+  get(key) {
+    return this.data.get(key);
+  }
+
+  set(key, value) {
+    this.data.set(key, value);
+    this.dirty = true;
+    return this;
+  }
+
+  delete(key) {
+    if (this.data.delete(key))
+      this.dirty = true;
+    return this;
+  }
+}
+
+/**
+ * Snapshots
+ */
+
+class Snapshots {
+  constructor(options) {
+    this.update = false;
+    this.files = new Map();
+    this.counts = new WeakMap();
+    this.summary = new Summary();
+    this.init(options);
+  }
+
+  init(options) {
+    if (options == null)
+      return this;
+
+    assert(typeof options === 'object');
+
+    if (options.update != null)
+      this.update = Boolean(options.update);
+
+    return this;
+  }
+
+  reset() {
+    this.files.clear();
+    this.counts = new WeakMap();
+    this.summary = new Summary();
+    return this;
+  }
+
+  open(file) {
+    let snap = this.files.get(file);
+
+    if (!snap) {
+      snap = new SnapshotFile(file).read();
+      this.files.set(file, snap);
+    }
+
+    return snap;
+  }
+
+  key(test, hint) {
+    let counts = this.counts.get(test);
+
+    // Counters start over on retries.
+    if (!counts || counts.retry !== test.retry) {
+      counts = { retry: test.retry, map: new Map() };
+      this.counts.set(test, counts);
+    }
+
+    let name = test.fullTitle();
+
+    if (hint)
+      name += `: ${hint}`;
+
+    const count = (counts.map.get(name) || 0) + 1;
+
+    counts.map.set(name, count);
+
+    return `${name} ${count}`;
+  }
+
+  match(test, value, hint) {
+    assert(test && typeof test.fullTitle === 'function');
+    assert(hint == null || typeof hint === 'string');
+
+    if (typeof test.file !== 'string')
+      throw new Error('Snapshots require a test file.');
+
+    const snap = this.open(test.file);
+    const key = this.key(test, hint);
+    const actual = inspect(value, { sort: true });
+
+    snap.used.add(key);
+
+    if (!snap.has(key)) {
+      snap.set(key, actual);
+      this.summary.written += 1;
+      return null;
+    }
+
+    const expected = snap.get(key);
+
+    if (actual === expected)
+      return null;
+
+    if (this.update) {
+      snap.set(key, actual);
+      this.summary.updated += 1;
+      return null;
+    }
+
+    return { key, actual, expected };
+  }
+
+  finish(mocha) {
+    assert(mocha && mocha.suite);
+
+    const passed = new Set();
+    const tests = new Map();
+
+    for (const test of mocha.results) {
+      if (!test.skip && !test.fail)
+        passed.add(test);
+    }
+
+    for (const test of collect(mocha.suite, [])) {
+      if (typeof test.file !== 'string')
+        continue;
+
+      if (!tests.has(test.file))
+        tests.set(test.file, []);
+
+      tests.get(test.file).push(test);
+    }
+
+    for (const [file, list] of tests) {
+      const snap = this.open(file);
+
+      for (const key of snap.data.keys()) {
+        if (snap.used.has(key))
+          continue;
+
+        const owners = list.filter(test => owns(test.fullTitle(), key));
+
+        // Tests that were filtered out or failed
+        // early may still need their snapshots.
+        if (owners.length > 0 && !owners.some(test => passed.has(test)))
+          continue;
+
+        if (this.update) {
+          snap.delete(key);
+          this.summary.removed += 1;
+          continue;
+        }
+
+        this.summary.obsolete.push({
+          file: relative(process.cwd(), snap.path),
+          key
+        });
+      }
+    }
+
+    for (const snap of this.files.values())
+      snap.write();
+
+    return this.summary;
+  }
+
+  merge(json) {
+    this.summary.merge(json);
+    return this;
+  }
+}
+
+/**
+ * Summary
+ */
+
+class Summary {
+  constructor() {
+    this.written = 0;
+    this.updated = 0;
+    this.removed = 0;
+    this.obsolete = [];
+  }
+
+  get size() {
+    return this.written
+         + this.updated
+         + this.removed
+         + this.obsolete.length;
+  }
+
+  merge(json) {
+    assert(json && typeof json === 'object');
+
+    this.written += json.written >>> 0;
+    this.updated += json.updated >>> 0;
+    this.removed += json.removed >>> 0;
+
+    if (Array.isArray(json.obsolete))
+      this.obsolete.push(...json.obsolete);
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      written: this.written,
+      updated: this.updated,
+      removed: this.removed,
+      obsolete: this.obsolete.slice()
+    };
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function escape(str) {
+  return str.replace(/\\/g, '\\\\')
+            .replace(/`/g, '\\`')
+            .replace(/\$\{/g, '\\${');
+}
+
+function mkdirp(dir) {
+  try {
+    fs.mkdirSync(dir, 0o755);
+  } catch (e) {
+    if (e.code === 'EEXIST')
+      return;
+
+    if (e.code !== 'ENOENT' || dirname(dir) === dir)
+      throw e;
+
+    mkdirp(dirname(dir));
+    fs.mkdirSync(dir, 0o755);
+  }
+}
+
+function owns(title, key) {
+  if (!key.startsWith(title))
+    return false;
+
+  return /^(?:: [^]*)? \d+$/.test(key.substring(title.length));
+}
+
+function collect(suite, out) {
+  out.push(...suite.tests);
+
+  for (const child of suite.suites)
+    collect(child, out);
+
+  return out;
+}
+
+/*
+ * Expose
+ */
+
+exports.SnapshotFile = SnapshotFile;
+exports.Snapshots = Snapshots;
+exports.Summary = Summary;
@@ -14,7 +14,15 @@
 
 const inspect = require('./inspect');
 const error = require('./error');
-const {hasLine, getLine, cleanStack, why} = error;
+const {
+  hasLine,
+  getLine,
+  cleanStack,
+  why,
+  trackHandles,
+  storage,
+  getSource
+} = error;
 
 /*
  * Globals
@@ -23,14 +31,23 @@ const {hasLine, getLine, cleanStack, why} = error;
 const {
   Array,
   Error,
+  Function,
   Math,
+  Number,
   Object,
   Promise,
   RegExp,
+  setTimeout,
   String,
   TypeError
 } = global;
 
+// Captured early so fake timers
+// cannot stall the runner itself.
+const immediate = typeof setImmediate === 'function'
+  ? setImmediate
+  : func => setTimeout(func, 0);
+
 /*
  * Constants
  */
@@ -52,9 +69,12 @@ const errorStrings = {
     'Expected "actual" not to be reference-equal to "expected":',
   notDeepEqual: 'Expected "actual" not to be loosely deep-equal to:',
   notEqual: 'Expected "actual" to be loosely unequal to:',
-  notIdentical: 'Values identical but not reference-equal:'
+  notIdentical: 'Values identical but not reference-equal:',
+  snapshotEqual: 'Expected value to match snapshot:'
 };
 
+const frames = new WeakMap();
+
 const RED = '\x1b[31m';
 const GREEN = '\x1b[32m';
 const BLUE = '\x1b[34m';
@@ -110,7 +130,7 @@ function getJSON(obj, prop) {
 }
 
 async function nextTick() {
-  return new Promise(r => setImmediate(r));
+  return new Promise(r => immediate(r));
 }
 
 function isObject(error) {
@@ -179,6 +199,123 @@ function stackError(start, msg) {
   return err;
 }
 
+function callSite(start, func, file = null, sources = null) {
+  const err = stackError(start, '');
+
+  let stack = null;
+
+  try {
+    stack = err.stack;
+  } catch (e) {
+    return null;
+  }
+
+  if (typeof stack !== 'string')
+    return null;
+
+  const sites = [];
+
+  for (const frame of stack.split('\n')) {
+    const m = /\((.+):(\d+):(\d+)\)$/.exec(frame)   // v8
+           || /^\s*at (.+):(\d+):(\d+)$/.exec(frame) // v8 (anonymous)
+           || /@(.+):(\d+):(\d+)$/.exec(frame);       // spidermonkey
+
+    if (!m)
+      continue;
+
+    let name = m[1];
+
+    // ESM frames are URLs.
+    if (name.startsWith('file://')) {
+      name = decodeURIComponent(name.substring(7));
+
+      if (/^\/[A-Za-z]:\//.test(name))
+        name = name.substring(1).replace(/\//g, '\\');
+    }
+
+    sites.push({
+      file: name,
+      line: m[2] >>> 0,
+      column: m[3] >>> 0
+    });
+  }
+
+  if (sites.length === 0)
+    return null;
+
+  // Prefer the file being loaded over
+  // any helpers which defined the test.
+  let site = sites[0];
+
+  if (file != null)
+    site = sites.find(item => item.file === file) || site;
+
+  site.end = measure(site, func, sources);
+
+  return site;
+}
+
+function measure(site, func, sources) {
+  if (typeof func !== 'function')
+    return site.line;
+
+  let code;
+
+  // Each-tables point us at the original body.
+  try {
+    code = String(func.toString());
+  } catch (e) {
+    code = Function.prototype.toString.call(func);
+  }
+
+  let text = null;
+
+  if (sources && sources.has(site.file)) {
+    text = sources.get(site.file);
+  } else {
+    text = getSource(site.file);
+
+    if (sources)
+      sources.set(site.file, text);
+  }
+
+  // Find the body after the call itself.
+  if (text != null) {
+    let pos = 0;
+
+    for (let i = 1; i < site.line && pos !== -1; i++) {
+      pos = text.indexOf('\n', pos);
+
+      if (pos !== -1)
+        pos += 1;
+    }
+
+    if (pos !== -1) {
+      let index = text.indexOf(code, pos + Math.max(0, site.column - 1));
+
+      if (index === -1)
+        index = text.indexOf(code, pos);
+
+      if (index !== -1)
+        return site.line + newlines(text, pos, index + code.length);
+    }
+  }
+
+  // Otherwise assume it starts on the same line.
+  return site.line + newlines(code, 0, code.length);
+}
+
+function newlines(str, start, end) {
+  let count = 0;
+
+  for (let i = start; i < end; i++) {
+    if (str.charCodeAt(i) === 0x0a)
+      count += 1;
+  }
+
+  return count;
+}
+
 function noop() {}
 
 function getOperator(error) {
@@ -256,6 +393,51 @@ function castArray(funcs, file = null) {
   return funcs;
 }
 
+function hash(str) {
+  // FNV-1a
+  let h = 0x811c9dc5;
+
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+
+  return h >>> 0;
+}
+
+function shuffle(items, seed, key = '') {
+  assert(Array.isArray(items));
+  assert((seed >>> 0) === seed);
+  assert(typeof key === 'string');
+
+  // Mulberry32, seeded per key so that an order
+  // doesn't depend on what else was shuffled.
+  let state = (seed ^ hash(key)) >>> 0;
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+
+    let t = state;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+
+  const out = items.slice();
+
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const item = out[i];
+
+    out[i] = out[j];
+    out[j] = item;
+  }
+
+  return out;
+}
+
 /*
  * Text Processing
  */
@@ -410,6 +592,315 @@ outer:
   return str.replace(re, '');
 }
 
+function formatTitle(title, args, index) {
+  assert(typeof title === 'string');
+  assert(Array.isArray(args));
+  assert((index >>> 0) === index);
+
+  const pretty = (value) => {
+    return inspect(value).replace(/\n\s*/g, ' ');
+  };
+
+  const stringify = (value) => {
+    if (typeof value === 'string')
+      return value;
+
+    return pretty(value);
+  };
+
+  // Object rows can be referenced by `$field`.
+  const row = args.length === 1 && isObject(args[0])
+    ? args[0]
+    : null;
+
+  const re = /%([sdifjoOp#%])|\$(#|[\w$]+(?:\.[\w$]+)*)/g;
+
+  let pos = 0;
+  let used = false;
+
+  const str = title.replace(re, (match, spec, path) => {
+    if (path != null) {
+      if (!row)
+        return match;
+
+      if (path === '#') {
+        used = true;
+        return String(index);
+      }
+
+      const keys = path.split('.');
+
+      if (!has(row, keys[0]))
+        return match;
+
+      let value = row;
+
+      for (const key of keys)
+        value = isObject(value) ? get(value, key) : undefined;
+
+      used = true;
+
+      return stringify(value);
+    }
+
+    if (spec === '%')
+      return '%';
+
+    if (spec === '#') {
+      used = true;
+      return String(index);
+    }
+
+    if (pos >= args.length)
+      return match;
+
+    const value = args[pos++];
+
+    used = true;
+
+    if (typeof value === 'symbol')
+      return stringify(value);
+
+    switch (spec) {
+      case 's':
+        return stringify(value);
+      case 'd':
+        if (typeof value === 'bigint')
+          return value.toString();
+        return String(Number(value));
+      case 'i':
+        return String(parseInt(value, 10));
+      case 'f':
+        return String(parseFloat(value));
+      case 'j':
+        try {
+          return String(JSON.stringify(value));
+        } catch (e) {
+          return '[Circular]';
+        }
+      default:
+        return pretty(value);
+    }
+  });
+
+  // Keep titles unique when nothing was substituted.
+  if (!used)
+    return `${str} [${index}]`;
+
+  return str;
+}
+
+/*
+ * Tags
+ */
+
+function isTag(tag) {
+  if (typeof tag !== 'string')
+    return false;
+
+  if (!/^@?[\w.:/-]+$/.test(tag))
+    return false;
+
+  return !/^(?:and|or|not)$/i.test(tag);
+}
+
+function parseTags(expr) {
+  assert(typeof expr === 'string');
+
+  const tokens = expr.match(/\(|\)|!|&&|\|\||[^\s()!&|]+|\S/g) || [];
+
+  let pos = 0;
+
+  const fail = () => {
+    throw new Error(`Invalid tag expression: ${expr}.`);
+  };
+
+  const accept = (...ops) => {
+    if (pos < tokens.length && ops.includes(tokens[pos].toLowerCase())) {
+      pos += 1;
+      return true;
+    }
+    return false;
+  };
+
+  // Precedence: or (0) < and (1) < not (2).
+  const parse = (level) => {
+    if (level === 2) {
+      if (accept('not', '!')) {
+        const a = parse(2);
+        return tags => !a(tags);
+      }
+
+      if (accept('(')) {
+        const a = parse(0);
+
+        if (!accept(')'))
+          fail();
+
+        return a;
+      }
+
+      const token = tokens[pos++];
+
+      if (!isTag(token))
+        fail();
+
+      const name = token.replace(/^@/, '');
+
+      return tags => tags.includes(name);
+    }
+
+    let left = parse(level + 1);
+
+    if (level === 0) {
+      while (accept('or', '||')) {
+        const [a, b] = [left, parse(1)];
+        left = tags => a(tags) || b(tags);
+      }
+    } else {
+      while (accept('and', '&&')) {
+        const [a, b] = [left, parse(2)];
+        left = tags => a(tags) && b(tags);
+      }
+    }
+
+    return left;
+  };
+
+  if (tokens.length === 0)
+    fail();
+
+  const predicate = parse(0);
+
+  if (pos !== tokens.length)
+    fail();
+
+  return predicate;
+}
+
+/*
+ * Headers
+ */
+
+function parseHeader(text, file = null) {
+  assert(typeof text === 'string');
+
+  const header = {
+    timeout: null,
+    retries: null,
+    slow: null,
+    env: Object.create(null),
+    browser: true
+  };
+
+  let str = text.replace(/^#!.*/, '');
+  let found = false;
+
+  // Only the leading comments (and
+  // directives) count as the header.
+  for (;;) {
+    str = str.replace(/^\s+/, '');
+
+    const match = /^\/\*([\s\S]*?)\*\//.exec(str)
+               || /^\/\/(.*)/.exec(str);
+
+    if (!match) {
+      const directive = /^(['"])use strict\1;?/.exec(str);
+
+      if (!directive)
+        break;
+
+      str = str.substring(directive[0].length);
+
+      continue;
+    }
+
+    str = str.substring(match[0].length);
+
+    for (const line of match[1].split('\n')) {
+      const body = line.replace(/^[\s*!]*/, '').trim();
+
+      if (!body.startsWith('bmocha:'))
+        continue;
+
+      for (const pair of body.substring(7).trim().split(/\s+/)) {
+        if (pair.length > 0)
+          setHeader(header, pair, file);
+      }
+
+      found = true;
+    }
+  }
+
+  return found ? header : null;
+}
+
+function setHeader(header, pair, file) {
+  const fail = () => {
+    let msg = `Invalid header option: ${pair}`;
+
+    if (file != null)
+      msg += ` (${file})`;
+
+    throw new Error(msg + '.');
+  };
+
+  const index = pair.indexOf('=');
+
+  if (index <= 0)
+    fail();
+
+  const key = pair.substring(0, index);
+  const value = pair.substring(index + 1);
+
+  switch (key) {
+    case 'timeout':
+    case 'retries':
+    case 'slow': {
+      if (!/^\d+$/.test(value))
+        fail();
+
+      header[key] = Number(value);
+
+      break;
+    }
+
+    case 'backend': {
+      if (value.length === 0)
+        fail();
+
+      header.env.NODE_BACKEND = value;
+
+      break;
+    }
+
+    case 'env': {
+      const eq = value.indexOf('=');
+
+      if (eq <= 0)
+        fail();
+
+      header.env[value.substring(0, eq)] = value.substring(eq + 1);
+
+      break;
+    }
+
+    case 'browser': {
+      if (value !== 'true' && value !== 'false')
+        fail();
+
+      header.browser = value === 'true';
+
+      break;
+    }
+
+    default: {
+      fail();
+      break;
+    }
+  }
+}
+
 /*
  * Error Processing
  */
@@ -542,6 +1033,21 @@ function jsonify(error, fullTrace) {
   const actual = getJSON(error, 'actual');
   const expected = getJSON(error, 'expected');
   const operator = getJSON(error, 'operator');
+  const showDiff = getJSON(error, 'showDiff');
+  const uncaught = getJSON(error, 'uncaught');
+  const rejection = getJSON(error, 'rejection');
+
+  // Keep the code frame so the
+  // report can be rendered later.
+  let frame;
+
+  if (isFindable(error)) {
+    const target = get(error, 'multiple') === true
+      ? get(error, 'value')
+      : error;
+
+    frame = find(target) || undefined;
+  }
 
   return {
     stack,
@@ -552,7 +1058,11 @@ function jsonify(error, fullTrace) {
     code,
     actual,
     expected,
-    operator
+    operator,
+    showDiff,
+    uncaught,
+    rejection,
+    frame
   };
 }
 
@@ -631,10 +1141,17 @@ function diff(actual, expected, operator, colors) {
   if (colors == null)
     colors = false;
 
+  // Snapshots are already serialized.
+  const raw = operator === 'snapshotEqual'
+           && typeof actual === 'string'
+           && typeof expected === 'string';
+
   const options = { sort: true, colors };
-  const actualInspected = inspect(actual, options);
+  const actualInspected = raw ? actual : inspect(actual, options);
   const actualLines = actualInspected.split('\n');
-  const expectedLines = inspect(expected, options).split('\n');
+  const expectedLines = raw
+    ? expected.split('\n')
+    : inspect(expected, options).split('\n');
 
   let red = '';
   let green = '';
@@ -943,6 +1460,9 @@ function isFindable(error) {
   if (!isObject(error))
     return false;
 
+  if (frames.has(error))
+    return true;
+
   if (get(error, 'showCode') === false)
     return false;
 
@@ -959,6 +1479,9 @@ function isFindable(error) {
 }
 
 function find(error) {
+  if (isObject(error) && frames.has(error))
+    return frames.get(error);
+
   let line;
 
   try {
@@ -981,6 +1504,17 @@ function find(error) {
   return code;
 }
 
+function setFrame(error, code) {
+  assert(isObject(error));
+  assert(typeof code === 'string');
+
+  // Errors deserialized from another process
+  // no longer have their call sites available.
+  frames.set(error, code);
+
+  return error;
+}
+
 /*
  * Show
  */
@@ -1033,20 +1567,28 @@ exports.get = get;
 exports.has = has;
 exports.toString = toString;
 exports.getJSON = getJSON;
+exports.immediate = immediate;
 exports.nextTick = nextTick;
 exports.isObject = isObject;
 exports.isPromise = isPromise;
 exports.inject = inject;
 exports.restore = restore;
 exports.stackError = stackError;
+exports.callSite = callSite;
 exports.noop = noop;
 exports.getOperator = getOperator;
 exports.castArray = castArray;
+exports.hash = hash;
+exports.shuffle = shuffle;
 exports.indent = indent;
 exports.sanitize = sanitize;
 exports.strip = strip;
 exports.singlify = singlify;
 exports.trim = trim;
+exports.formatTitle = formatTitle;
+exports.isTag = isTag;
+exports.parseTags = parseTags;
+exports.parseHeader = parseHeader;
 exports.escape = escape;
 exports.clean = clean;
 exports.isError = isError;
@@ -1062,7 +1604,10 @@ exports.isDiffable = isDiffable;
 exports.diff = diff;
 exports.isFindable = isFindable;
 exports.find = find;
+exports.setFrame = setFrame;
 exports.isShowable = isShowable;
 exports.show = show;
 exports.inspect = inspect;
 exports.why = why;
+exports.trackHandles = trackHandles;
+exports.storage = storage;
@@ -0,0 +1,110 @@
+'use strict';
+
+const assert = require('assert');
+const bmocha = require('../lib/bmocha');
+
+const realTimeout = setTimeout;
+const realDate = Date;
+
+describe('Clock', function() {
+  it('should expose the clock', function() {
+    assert(this.clock instanceof bmocha.Clock);
+    assert.strictEqual(bmocha.clock, this.clock);
+    assert.strictEqual(this.clock.installed, false);
+  });
+
+  it('should fire timers in order', function() {
+    const calls = [];
+
+    this.clock.install(0);
+
+    setTimeout(() => calls.push('b'), 20);
+    setTimeout(() => calls.push('a'), 10);
+    setImmediate(() => calls.push('i'));
+
+    const timer = setTimeout(() => calls.push('x'), 15);
+
+    clearTimeout(timer);
+
+    assert.strictEqual(this.clock.tick(10), 10);
+    assert.deepStrictEqual(calls, ['i', 'a']);
+
+    this.clock.tick(10);
+
+    assert.deepStrictEqual(calls, ['i', 'a', 'b']);
+    assert.strictEqual(Date.now(), 20);
+    assert.strictEqual(performance.now(), 20);
+  });
+
+  it('should repeat intervals', function() {
+    let count = 0;
+
+    this.clock.install();
+
+    const timer = setInterval(() => {
+      if (++count === 3)
+        clearInterval(timer);
+    }, 100);
+
+    this.clock.tick(250);
+
+    assert.strictEqual(count, 2);
+    assert.strictEqual(this.clock.runAll(), 300);
+    assert.strictEqual(count, 3);
+  });
+
+  it('should give up on runaway timers', function() {
+    this.clock.install();
+
+    setInterval(() => {}, 1);
+
+    assert.throws(() => this.clock.runAll(), /1000 timers/);
+  });
+
+  it('should jump to the next timer', function() {
+    let fired = false;
+
+    this.clock.install();
+
+    setTimeout(() => {
+      fired = true;
+    }, 5000);
+
+    assert.strictEqual(this.clock.next(), 5000);
+    assert(fired);
+  });
+
+  it('should set the system time', function() {
+    let fired = false;
+
+    this.clock.install(1000);
+
+    setTimeout(() => {
+      fired = true;
+    }, 10);
+
+    this.clock.setSystemTime(new Date(1e12));
+
+    assert.strictEqual(Date.now(), 1e12);
+    assert.strictEqual(new Date().getTime(), 1e12);
+    assert(new Date() instanceof realDate);
+    assert.strictEqual(new Date(5).getTime(), 5);
+    assert.strictEqual(typeof Date(), 'string');
+    assert.strictEqual(performance.now(), 0);
+    assert(!fired);
+  });
+
+  it('should not stall async tests', async function() {
+    this.timeout(1000);
+    this.clock.install();
+
+    await new Promise(resolve => realTimeout(resolve, 1));
+  });
+
+  it('should restore timers after each test', function() {
+    assert.strictEqual(this.clock.installed, false);
+    assert.strictEqual(Date, realDate);
+    assert.strictEqual(setTimeout, realTimeout);
+    assert.throws(() => this.clock.tick(1), /not installed/);
+  });
+});
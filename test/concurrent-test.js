@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('assert');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Concurrent', function() {
+  const order = [];
+
+  let running = 0;
+  let peak = 0;
+
+  beforeEach(function() {
+    this.title = this.runnable.title;
+  });
+
+  afterEach(function() {
+    assert.strictEqual(this.title, this.runnable.title);
+  });
+
+  for (let i = 0; i < 4; i++) {
+    it.concurrent(`should run side by side (${i})`, async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+
+      await wait(40 - i * 10);
+
+      running -= 1;
+      order.push(i);
+    });
+  }
+
+  it('should have run concurrently', () => {
+    assert(peak > 1);
+    assert.deepStrictEqual(order, [3, 2, 1, 0]);
+  });
+
+  it.concurrent('should keep its own context', function(done) {
+    const test = this.runnable;
+
+    setImmediate(() => {
+      assert.strictEqual(this.runnable, test);
+      done();
+    });
+  });
+
+  describe.concurrent('Suite', function() {
+    it('should inherit concurrency', function() {
+      assert.strictEqual(this.runnable.concurrent, true);
+    });
+  });
+});
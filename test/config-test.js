@@ -0,0 +1,416 @@
+'use strict';
+
+const assert = require('assert');
+const {parseYAML, parseJSONC} = require('../lib/config');
+const {fixture} = require('./util/cli');
+
+const PROBE = [
+  'it(\'probe\', function() {',
+  '  console.log(JSON.stringify({',
+  '    timeout: this.timeout(),',
+  '    slow: this.slow(),',
+  '    retries: this.retries(),',
+  '    bail: this.bail()',
+  '  }));',
+  '});'
+];
+
+function probe({code, stdout, stderr}) {
+  assert.strictEqual(code, 0, stdout + stderr);
+
+  const m = /^{.*}$/m.exec(stdout);
+
+  assert(m, stdout);
+
+  return JSON.parse(m[0]);
+}
+
+describe('Config', function() {
+  describe('YAML', () => {
+    it('should parse maps and lists', () => {
+      const json = parseYAML([
+        '# comment',
+        '---',
+        'timeout: 5000',
+        'bail: false',
+        'reporter: spec # trailing',
+        'require:',
+        '  - ./setup.js',
+        '  - ./other.js',
+        'ignore:',
+        '- lib/*.js',
+        'grep:',
+        'profiles:',
+        '  ci:',
+        '    forbid-only: true',
+        '    reporter:',
+        '      - name: xunit',
+        '        output: out.xml',
+        '      - dot'
+      ].join('\n'));
+
+      assert.deepStrictEqual(json, {
+        timeout: 5000,
+        bail: false,
+        reporter: 'spec',
+        require: ['./setup.js', './other.js'],
+        ignore: ['lib/*.js'],
+        grep: null,
+        profiles: {
+          ci: {
+            'forbid-only': true,
+            'reporter': [{ name: 'xunit', output: 'out.xml' }, 'dot']
+          }
+        }
+      });
+    });
+
+    it('should parse scalars', () => {
+      const json = parseYAML([
+        'a: \'it\'\'s # not a comment\'',
+        'b: "x\\ty\\n\\u0041"',
+        'c: http://example.com/#hash',
+        'd: -1.5',
+        'e: ~',
+        'f: [one, \'two, three\', 4, {x: true}]',
+        '"g h": TRUE'
+      ].join('\r\n'));
+
+      assert.deepStrictEqual(json, {
+        'a': 'it\'s # not a comment',
+        'b': 'x\ty\nA',
+        'c': 'http://example.com/#hash',
+        'd': -1.5,
+        'e': null,
+        'f': ['one', 'two, three', 4, { x: true }],
+        'g h': true
+      });
+    });
+
+    it('should treat __proto__ as a plain key', () => {
+      const json = parseYAML([
+        '__proto__:',
+        '  polluted: true',
+        'flow: {__proto__: {polluted: true}}'
+      ].join('\n'));
+
+      // Same as JSON.parse.
+      assert.deepStrictEqual(json, JSON.parse('{'
+        + '"__proto__": {"polluted": true},'
+        + '"flow": {"__proto__": {"polluted": true}}'
+        + '}'));
+
+      assert.strictEqual(json.polluted, undefined);
+      assert.strictEqual(json.flow.polluted, undefined);
+    });
+
+    it('should parse empty documents', () => {
+      assert.deepStrictEqual(parseYAML('# nothing\n'), {});
+    });
+
+    it('should reject invalid documents', () => {
+      const tests = [
+        ['a: 1\n  b: 2', 2],
+        ['a: 1\na: 2', 2],
+        ['a: "open', 1],
+        ['a: [1, 2', 1],
+        ['a: *alias', 1],
+        ['a: |\n  text', 1],
+        ['a:\n\t- b', 2]
+      ];
+
+      for (const [text, line] of tests) {
+        assert.throws(() => parseYAML(text, 'YAML in "a.yml"'), {
+          message: `Invalid YAML in "a.yml" (line ${line}).`
+        });
+      }
+    });
+  });
+
+  describe('JSONC', () => {
+    it('should strip comments and trailing commas', () => {
+      const json = parseJSONC([
+        '{',
+        '  // line comment',
+        '  "spec": "test/**/*.js", /* block',
+        '  comment */',
+        '  "url": "http://x//y/*z*/",',
+        '  "list": ["a", "b",],',
+        '}'
+      ].join('\n'));
+
+      assert.deepStrictEqual(json, {
+        spec: 'test/**/*.js',
+        url: 'http://x//y/*z*/',
+        list: ['a', 'b']
+      });
+    });
+
+    it('should reject invalid documents', () => {
+      assert.throws(() => parseJSONC('{ a: 1 }', 'JSONC in "a.jsonc"'), {
+        message: /^Invalid JSONC in "a\.jsonc": /
+      });
+    });
+  });
+
+  describe('Files', function() {
+    const fx = fixture(this, {
+      'probe.js': PROBE,
+      '.mocharc.yml': [
+        '# Shared settings.',
+        'timeout: 3000',
+        'slow: 20'
+      ],
+      'other.jsonc': [
+        '{',
+        '  // Overrides.',
+        '  "timeout": 4000,',
+        '  "retries": 2,',
+        '}'
+      ],
+      'extends.yml': [
+        'extends: ./other.jsonc',
+        'slow: 30'
+      ],
+      'spec.yml': ['spec:', '  - probe.js'],
+      'typo.yml': ['timout: 3000'],
+      'bad.yaml': ['timeout: [1']
+    });
+
+    it('should read yaml configs', () => {
+      assert.deepStrictEqual(probe(fx.run(['probe.js'])), {
+        timeout: 3000,
+        slow: 20,
+        retries: 0,
+        bail: false
+      });
+    });
+
+    it('should read jsonc configs', () => {
+      const args = ['--config', 'other.jsonc', 'probe.js'];
+
+      assert.deepStrictEqual(probe(fx.run(args)), {
+        timeout: 4000,
+        slow: 75,
+        retries: 2,
+        bail: false
+      });
+    });
+
+    it('should reject invalid yaml', () => {
+      const {code, stderr} = fx.run(['--config', 'bad.yaml', 'probe.js']);
+
+      assert.strictEqual(code, 1);
+      assert.strictEqual(stderr, 'Invalid YAML in "bad.yaml" (line 1).\n');
+    });
+
+    it('should extend across formats', () => {
+      const args = ['--config', 'extends.yml', 'probe.js'];
+
+      assert.deepStrictEqual(probe(fx.run(args)), {
+        timeout: 4000,
+        slow: 30,
+        retries: 2,
+        bail: false
+      });
+    });
+
+    it('should run spec files when none are given', () => {
+      const args = ['--config', 'spec.yml'];
+
+      assert.strictEqual(probe(fx.run(args)).timeout, 2000);
+      assert.strictEqual(fx.run([...args, 'missing.js']).stderr,
+                         'File not found: "missing.js".\n');
+    });
+
+    it('should validate yaml configs', () => {
+      const {code, stderr} = fx.run(['--config', 'typo.yml', 'probe.js']);
+
+      assert.strictEqual(code, 1);
+      assert.strictEqual(stderr, 'Invalid config "typo.yml": '
+                               + 'unknown option "timout" '
+                               + '(did you mean "timeout"?).\n');
+    });
+  });
+
+  describe('Profiles', function() {
+    const fx = fixture(this, {
+      'probe.js': PROBE,
+      'base.json': {
+        timeout: 1000,
+        slow: 10,
+        profiles: {
+          ci: { slow: 20 },
+          browser: { slow: 30 }
+        }
+      },
+      '.bmocharc.json': {
+        extends: './base.json',
+        timeout: 2000,
+        profiles: {
+          ci: { reporter: 'tap' }
+        }
+      },
+      'package.json': {
+        name: 'profiles',
+        bmocha: {
+          timeout: 3000,
+          profiles: {
+            ci: { retries: 2 }
+          }
+        }
+      },
+      'test/bmocha.opts': ['--bail'],
+      'cycle/a.json': { extends: './b.json' },
+      'cycle/b.json': { extends: ['./a.json'] }
+    });
+
+    it('should layer bases, files and profiles', () => {
+      const result = fx.run(['--profile', 'ci', 'probe.js']);
+
+      // The reporter comes from the rc file's own profile.
+      assert(/^ok \d+ probe$/m.test(result.stdout), result.stdout);
+
+      assert.deepStrictEqual(probe(result), {
+        timeout: 3000,
+        slow: 10,
+        retries: 2,
+        bail: true
+      });
+    });
+
+    it('should inherit profiles from bases', () => {
+      const args = ['--profile', 'browser', 'probe.js'];
+
+      assert.strictEqual(probe(fx.run(args)).slow, 30);
+    });
+
+    it('should let the environment and command line win', () => {
+      const args = ['--profile', 'ci', '--timeout', '5000', 'probe.js'];
+      const env = { BMOCHA_OPTIONS: '--slow 40 --retries 4' };
+
+      assert.deepStrictEqual(probe(fx.run(args, { env })), {
+        timeout: 5000,
+        slow: 40,
+        retries: 4,
+        bail: true
+      });
+    });
+
+    it('should print where each option came from', () => {
+      const args = ['--profile', 'ci', '--print-config'];
+      const {code, stdout} = fx.run(args);
+
+      assert.strictEqual(code, 0, stdout);
+      assert.strictEqual(stdout, [
+        '  bail: true (test/bmocha.opts)',
+        '  profile: ci (command line)',
+        '  reporter: tap (.bmocharc.json, ci profile)',
+        '  retries: 2 (package.json, ci profile)',
+        '  slow: 10 (base.json)',
+        '  timeout: 3000 (package.json)',
+        ''
+      ].join('\n'));
+    });
+
+    it('should reject unknown profiles', () => {
+      const {code, stderr} = fx.run(['--profile', 'nope', 'probe.js']);
+
+      assert.strictEqual(code, 1);
+      assert.strictEqual(stderr, 'Unknown profile: "nope".\n');
+    });
+
+    it('should reject circular extends', () => {
+      const args = ['--config', 'cycle/a.json', 'probe.js'];
+      const {code, stderr} = fx.run(args);
+
+      assert.strictEqual(code, 1);
+      assert.strictEqual(stderr, 'Circular extends in config: '
+                               + `${JSON.stringify(fx.path('cycle', 'a.json'))}.\n`);
+    });
+  });
+
+  describe('Validation', function() {
+    const fx = fixture(this, {
+      'typo.json': { timout: 1000 },
+      'far.json': { zzzzzz: 1 },
+      'profile.json': { profiles: { ci: { retires: 1 } } },
+      'boolean.json': { bail: 'yes' },
+      'number.json': { timeout: -1 },
+      'list.json': { require: ['./a.js', 1] },
+      'object.json': { 'reporter-option': 5 },
+      'extends.json': { extends: './boolean.json' },
+      'camel.json': {
+        forbidOnly: true,
+        reporterOption: { output: 'out.xml' },
+        timeout: '100'
+      },
+      'pkg/package.json': {
+        name: 'pkg',
+        bmocha: { 'retries': 1, 'chek-leaks': true }
+      }
+    });
+
+    const check = (args, cwd = fx.dir) => {
+      const {code, stdout, stderr} = fx.run([...args, '--print-config'], {
+        cwd
+      });
+
+      assert.strictEqual(code, 1, stdout);
+
+      return stderr;
+    };
+
+    it('should reject unknown keys', () => {
+      assert.strictEqual(check(['--config', 'typo.json']),
+        'Invalid config "typo.json": unknown option "timout" '
+        + '(did you mean "timeout"?).\n');
+
+      assert.strictEqual(check(['--config', 'far.json']),
+        'Invalid config "far.json": unknown option "zzzzzz".\n');
+
+      assert.strictEqual(check(['--config', 'profile.json']),
+        'Invalid config "profile.json": unknown option '
+        + '"profiles.ci.retires" (did you mean "retries"?).\n');
+    });
+
+    it('should reject values of the wrong type', () => {
+      const tests = [
+        ['boolean', '"bail" must be a boolean'],
+        ['number', '"timeout" must be a non-negative integer'],
+        ['list', '"require" must be a string or an array of strings'],
+        ['object', '"reporter-option" must be a string or an object']
+      ];
+
+      for (const [name, msg] of tests) {
+        assert.strictEqual(check(['--config', `${name}.json`]),
+                           `Invalid config "${name}.json": ${msg}.\n`);
+      }
+    });
+
+    it('should name the base that failed', () => {
+      assert.strictEqual(check(['--config', 'extends.json']),
+        'Invalid config "boolean.json": "bail" must be a boolean.\n');
+    });
+
+    it('should validate package.json', () => {
+      assert.strictEqual(check([], fx.path('pkg')),
+        'Invalid config "package.json": unknown option "chek-leaks" '
+        + '(did you mean "check-leaks"?).\n');
+    });
+
+    it('should print camel-cased keys with their sources', () => {
+      const args = ['--config', 'camel.json', '--print-config'];
+      const {code, stdout} = fx.run(args);
+
+      assert.strictEqual(code, 0, stdout);
+      assert.strictEqual(stdout, [
+        '  config: camel.json (command line)',
+        '  forbid-only: true (camel.json)',
+        '  reporter-options: output=out.xml (camel.json)',
+        '  timeout: 100 (camel.json)',
+        ''
+      ].join('\n'));
+    });
+  });
+});
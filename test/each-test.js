@@ -0,0 +1,32 @@
+'use strict';
+
+const assert = require('assert');
+
+describe.each([
+  [1, 'one'],
+  [2, 'two']
+])('Each %d (%s)', function(num, name) {
+  it.each([
+    [1, 1, 2],
+    [2, 3, 5]
+  ])('should add %i + %i = %i', (a, b, expected) => {
+    assert.strictEqual(a + b, expected);
+  });
+
+  it.each([
+    { a: 1, b: 2 },
+    { a: 3, b: 4 }
+  ])('should interpolate $a and $b (row $#)', function({a, b}) {
+    assert.strictEqual(this.runnable.title, `should interpolate ${a} and ${b} `
+                                          + `(row ${(a - 1) / 2})`);
+  });
+
+  it.each([num])('should call back (%i)', (n, cb) => {
+    assert.strictEqual(n, num);
+    setImmediate(cb);
+  });
+
+  it.skip.each([name])('should skip (%s)', () => {
+    throw new Error('Should not run.');
+  });
+});
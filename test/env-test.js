@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('assert');
+const {parseEnv} = require('../lib/env');
+
+describe('Env', function() {
+  it('should parse assignments', () => {
+    const env = parseEnv([
+      '# comment',
+      '',
+      'A=1',
+      'export B = two',
+      'C=three # trailing',
+      'D=a#b',
+      'E='
+    ].join('\n'));
+
+    assert.deepStrictEqual({ ...env }, {
+      A: '1',
+      B: 'two',
+      C: 'three',
+      D: 'a#b',
+      E: ''
+    });
+  });
+
+  it('should parse quoted values', () => {
+    const env = parseEnv([
+      'A="x\\ty\\n\\"z\\""  # comment',
+      'B=\'raw\\n\'',
+      'C="multi',
+      'line"'
+    ].join('\r\n'));
+
+    assert.strictEqual(env.A, 'x\ty\n"z"');
+    assert.strictEqual(env.B, 'raw\\n');
+    assert.strictEqual(env.C, 'multi\nline');
+  });
+
+  it('should expand variables', () => {
+    const env = parseEnv([
+      'HOST=localhost',
+      'URL="http://${HOST}:${PORT}/"',
+      'RAW=\'${HOST}\'',
+      'ESCAPED=\\${HOST}',
+      'MISSING=${NOPE}'
+    ].join('\n'), { PORT: 8080, HOST: 'ignored' });
+
+    assert.strictEqual(env.URL, 'http://localhost:8080/');
+    assert.strictEqual(env.RAW, '${HOST}');
+    assert.strictEqual(env.ESCAPED, '${HOST}');
+    assert.strictEqual(env.MISSING, '');
+  });
+
+  it('should reject bad syntax', () => {
+    assert.throws(() => parseEnv('A=1\nnope'), /line 2/);
+    assert.throws(() => parseEnv('A="open'), /Unterminated quote/);
+    assert.throws(() => parseEnv('A="x" y'), /line 1/);
+  });
+});
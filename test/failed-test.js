@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+const FILES = ['a.js', 'b.js', 'c.js'];
+const FAIL = { env: { FAIL: '1' } };
+
+describe('Failed', function() {
+  const fx = fixture(this, {
+    'a.js': [
+      'describe(\'A\', () => {',
+      '  it(\'one\', () => {});',
+      '',
+      '  it(\'two\', () => {',
+      '    if (process.env.FAIL)',
+      '      throw new Error(\'two\');',
+      '  });',
+      '});'
+    ],
+    'b.js': [
+      'describe(\'B\', () => {',
+      '  it(\'three\', () => {});',
+      '});'
+    ],
+    'c.js': [
+      'describe(\'C\', () => {',
+      '  describe(\'inner\', () => {',
+      '    before(() => {',
+      '      if (process.env.FAIL)',
+      '        throw new Error(\'hook\');',
+      '    });',
+      '',
+      '    it(\'four\', () => {});',
+      '    it(\'five\', () => {});',
+      '  });',
+      '',
+      '  it(\'six\', () => {});',
+      '});'
+    ],
+    'root.js': [
+      'before(() => {',
+      '  if (process.env.FAIL)',
+      '    throw new Error(\'root\');',
+      '});',
+      '',
+      'it(\'seven\', () => {});'
+    ]
+  });
+
+  const titles = ({report}) => report.tests.map(test => test.fullTitle);
+  const last = () => JSON.parse(fx.read('.bmocha/last-run.json'));
+
+  it('should record failed tests and hooks', () => {
+    for (const args of [FILES, ['--parallel', ...FILES]]) {
+      const {code} = fx.json(args, FAIL);
+
+      assert.strictEqual(code, 2);
+      assert.deepStrictEqual(last(), {
+        version: 1,
+        failures: [
+          { file: 'a.js', titlePath: ['A', 'two'], type: 'test' },
+          { file: 'c.js', titlePath: ['C', 'inner'], type: 'suite' }
+        ]
+      });
+    }
+  });
+
+  it('should only run what failed', () => {
+    assert.strictEqual(fx.json(FILES, FAIL).code, 2);
+
+    for (const flag of ['--failed', '--only-failures']) {
+      const result = fx.json([flag, ...FILES]);
+
+      assert.strictEqual(result.code, 0);
+      assert.strictEqual(result.stderr, '');
+
+      // b.js is never loaded and c.js loses its passing test.
+      assert.deepStrictEqual(titles(result), [
+        'A two',
+        'C inner four',
+        'C inner five'
+      ]);
+
+      assert.strictEqual(fx.json(FILES, FAIL).code, 2);
+    }
+  });
+
+  it('should rerun a file after a root hook fails', () => {
+    assert.strictEqual(fx.json(['root.js'], FAIL).code, 1);
+
+    assert.deepStrictEqual(last().failures, [
+      { file: 'root.js', titlePath: [], type: 'suite' }
+    ]);
+
+    const result = fx.json(['--failed', 'b.js', 'root.js']);
+
+    assert.strictEqual(result.code, 0);
+    assert.deepStrictEqual(titles(result), ['seven']);
+  });
+
+  it('should run everything once nothing fails', () => {
+    assert.strictEqual(fx.json(FILES, FAIL).code, 2);
+    assert.strictEqual(fx.json(['--failed', ...FILES]).code, 0);
+    assert.deepStrictEqual(last().failures, []);
+
+    const result = fx.json(['--failed', ...FILES]);
+
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(result.stderr,
+      'No previous failures found. Running all tests.\n');
+    assert.strictEqual(titles(result).length, 6);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('assert');
+const {AsyncLocalStorage} = require('async_hooks');
+const {trackHandles} = require('../lib/util');
+const {fixture} = require('./util/cli');
+
+describe('Handles', function() {
+  const storage = new AsyncLocalStorage();
+  const owner = {};
+
+  let tracker = null;
+
+  beforeEach(() => {
+    tracker = trackHandles(() => storage.getStore());
+  });
+
+  afterEach(() => {
+    tracker.close();
+  });
+
+  it('should track open timers', () => {
+    const timer = storage.run(owner, () => setTimeout(() => {}, 1000));
+    const open = tracker.open(owner);
+
+    clearTimeout(timer);
+
+    assert.strictEqual(open.length, 1);
+    assert.strictEqual(open[0][0], 'Timeout');
+    assert(open[0][1][0].filename.endsWith('handles-test.js'));
+  });
+
+  it('should ignore unref\'d and foreign timers', () => {
+    const a = storage.run(owner, () => setTimeout(() => {}, 1000).unref());
+    const b = setTimeout(() => {}, 1000);
+
+    assert.strictEqual(tracker.open(owner).length, 0);
+
+    clearTimeout(a);
+    clearTimeout(b);
+  });
+
+  it('should forget closed timers', async () => {
+    const timer = storage.run(owner, () => setTimeout(() => {}, 1000));
+
+    clearTimeout(timer);
+
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(tracker.open(owner).length, 0);
+  });
+
+  it('should forget released runnables', () => {
+    const timer = storage.run(owner, () => setTimeout(() => {}, 1000));
+
+    tracker.release(owner);
+
+    const open = tracker.open(owner);
+
+    clearTimeout(timer);
+
+    assert.strictEqual(open.length, 0);
+  });
+});
+
+describe('Open Handles', function() {
+  const fx = fixture(this, {
+    // `warn` is a directory, not a mode.
+    'warn/leak.js': [
+      'it(\'should leak\', () => {',
+      '  setTimeout(() => {}, 200);',
+      '});'
+    ]
+  });
+
+  it('should fail or warn', () => {
+    const failed = fx.run(['--detect-open-handles', 'warn']);
+
+    assert.strictEqual(failed.code, 1, failed.stdout);
+    assert(failed.stdout.includes('  1 failing\n'), failed.stdout);
+
+    const warned = fx.run(['--detect-open-handles=warn', 'warn']);
+
+    assert.strictEqual(warned.code, 0, warned.stdout);
+    assert(warned.stdout.includes('  1 passing'), warned.stdout);
+    assert(warned.stdout.includes('1 open handle(s) left behind (Timeout).'),
+           warned.stdout);
+  });
+});
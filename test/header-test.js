@@ -0,0 +1,44 @@
+/*!
+ * header-test.js
+ * bmocha: timeout=3000 retries=1 slow=5
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {parseHeader} = require('../lib/util');
+
+describe('Header', function() {
+  it('should apply its own header', function() {
+    assert.strictEqual(this.timeout(), 3000);
+    assert.strictEqual(this.retries(), 1);
+    assert.strictEqual(this.slow(), 5);
+  });
+
+  it('should parse headers', () => {
+    const header = parseHeader([
+      '#!/usr/bin/env node',
+      '\'use strict\';',
+      '',
+      '// bmocha: timeout=10000 env=NODE_BACKEND=js',
+      '/* bmocha: browser=false backend=native */',
+      'const x = 1;'
+    ].join('\n'));
+
+    assert.strictEqual(header.timeout, 10000);
+    assert.strictEqual(header.retries, null);
+    assert.strictEqual(header.browser, false);
+    assert.deepStrictEqual({ ...header.env }, { NODE_BACKEND: 'native' });
+  });
+
+  it('should only read leading comments', () => {
+    assert.strictEqual(parseHeader('const x = 1; // bmocha: timeout=1'), null);
+    assert.strictEqual(parseHeader('/* foo */'), null);
+  });
+
+  it('should reject bad options', () => {
+    assert.throws(() => parseHeader('// bmocha: timeout=abc', 'a.js'),
+                  /Invalid header option: timeout=abc \(a\.js\)\./);
+    assert.throws(() => parseHeader('// bmocha: foo=1'), /foo=1/);
+  });
+});
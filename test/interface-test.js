@@ -0,0 +1,113 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+const GLOBALS = [
+  'console.log([',
+  '  typeof describe, typeof it,',
+  '  typeof suite, typeof test,',
+  '  typeof setup, typeof beforeEach',
+  '].join(\',\'));'
+];
+
+describe('Interfaces', function() {
+  const fx = fixture(this, {
+    'qunit.js': [
+      'const assert = require(\'assert\');',
+      'const calls = [];',
+      '',
+      'before(() => calls.push(\'before\'));',
+      '',
+      'suite(\'Array\');',
+      '',
+      'beforeEach(() => calls.push(\'beforeEach\'));',
+      '',
+      'test(\'#length\', () => {',
+      '  assert.strictEqual([1, 2].length, 2);',
+      '});',
+      '',
+      'suite(\'String\');',
+      '',
+      'test(\'#length\', () => {',
+      '  assert.deepStrictEqual(calls, [\'before\', \'beforeEach\']);',
+      '});'
+    ],
+    'exports.js': [
+      'const assert = require(\'assert\');',
+      'const calls = [];',
+      '',
+      'module.exports = {',
+      '  before() {',
+      '    calls.push(\'before\');',
+      '  },',
+      '',
+      '  \'Array\': {',
+      '    beforeEach() {',
+      '      calls.push(\'beforeEach\');',
+      '    },',
+      '',
+      '    \'#indexOf()\': {',
+      '      \'should return -1\': () => {',
+      '        assert.strictEqual([1].indexOf(2), -1);',
+      '      },',
+      '',
+      '      \'should see the hooks\': () => {',
+      '        assert.deepStrictEqual(calls, [',
+      '          \'before\',',
+      '          \'beforeEach\',',
+      '          \'beforeEach\'',
+      '        ]);',
+      '      }',
+      '    }',
+      '  },',
+      '',
+      '  \'should run at the top level\': () => {}',
+      '};'
+    ],
+    'globals.js': GLOBALS
+  });
+
+  const titles = ({report}) => report.tests.map(test => test.fullTitle);
+
+  it('should run qunit modules', () => {
+    const result = fx.json(['--ui', 'qunit', 'qunit.js']);
+
+    assert.strictEqual(result.code, 0);
+    assert.deepStrictEqual(titles(result), ['Array #length', 'String #length']);
+  });
+
+  it('should run exported suites', () => {
+    const result = fx.json(['--ui', 'exports', 'exports.js']);
+
+    assert.strictEqual(result.code, 0);
+    assert.deepStrictEqual(titles(result), [
+      'should run at the top level',
+      'Array #indexOf() should return -1',
+      'Array #indexOf() should see the hooks'
+    ]);
+  });
+
+  it('should only expose the chosen interface', () => {
+    const tests = [
+      ['bdd', 'function,function,undefined,undefined,undefined,function'],
+      ['tdd', 'undefined,undefined,function,function,function,undefined'],
+      ['qunit', 'undefined,undefined,function,function,undefined,function'],
+      ['exports', 'undefined,undefined,undefined,undefined,undefined,undefined']
+    ];
+
+    for (const [ui, expect] of tests) {
+      const {code, stdout} = fx.run(['--ui', ui, 'globals.js']);
+
+      assert.strictEqual(code, 0, stdout);
+      assert(stdout.startsWith(expect + '\n'), `${ui}: ${stdout}`);
+    }
+  });
+
+  it('should reject unknown interfaces', () => {
+    const {code, stderr} = fx.run(['--ui', 'nope', 'globals.js']);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(stderr, 'Invalid interface: nope.\n');
+  });
+});
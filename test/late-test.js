@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+const TEST = [
+  'describe(\'Late\', function() {',
+  '  it(\'starts work\', () => {',
+  '    setTimeout(() => Promise.reject(new Error(\'late boom\')), 20);',
+  '  });',
+  '',
+  '  it(\'waits\', done => setTimeout(done, 60));',
+  '});'
+];
+
+describe('Late', function() {
+  const fx = fixture(this, {
+    'a.js': TEST,
+    'b.js': TEST,
+    'hook.js': [
+      'describe(\'Hook\', function() {',
+      '  before(() => {',
+      '    setTimeout(() => { throw new Error(\'hook boom\'); }, 20);',
+      '  });',
+      '',
+      '  it(\'waits\', done => setTimeout(done, 60));',
+      '});'
+    ]
+  });
+
+  it('should fail the run by default', () => {
+    const {code, report} = fx.json(['a.js']);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(report.stats.passes, 2);
+    assert.strictEqual(report.stats.failures, 1);
+
+    const {stdout} = fx.run(['a.js']);
+
+    assert(stdout.includes('  1) Late Error: Late starts work:\n'), stdout);
+    assert(stdout.includes('late boom'), stdout);
+  });
+
+  it('should only warn with --warn-late', () => {
+    const {code, stdout} = fx.run(['--warn-late', 'a.js', 'hook.js']);
+
+    assert.strictEqual(code, 0, stdout);
+    assert(stdout.includes('  2 warning(s)\n'), stdout);
+    assert(stdout.includes('  Warning: Late starts work:\n'), stdout);
+    assert(stdout.includes('  Warning: Hook "before all" hook:\n'), stdout);
+
+    const {stderr} = fx.run(['--warn-late', '--fail-late', 'a.js']);
+
+    assert.strictEqual(stderr, 'Cannot use --fail-late with --warn-late.\n');
+  });
+
+  it('should fail the run for hooks', () => {
+    for (const args of [['hook.js'], ['--fail-late', 'hook.js']]) {
+      const {code, stdout} = fx.run(args);
+
+      assert.strictEqual(code, 1, stdout);
+      assert(stdout.includes('  1 passing'), stdout);
+      assert(stdout.includes(
+        '  1) Late Error: Hook "before all" hook:\n'), stdout);
+    }
+  });
+
+  it('should fail the test in every reporter', () => {
+    const {code, report} = fx.json(['--fail-late', 'a.js']);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(report.stats.passes, 1);
+    assert.strictEqual(report.stats.failures, 1);
+    assert.deepStrictEqual(report.passes.map(test => test.title), ['waits']);
+    assert.strictEqual(report.failures[0].title, 'starts work');
+    assert.strictEqual(report.failures[0].state, 'failed');
+    assert.strictEqual(report.failures[0].err.message, 'late boom');
+
+    const tap = fx.run(['--fail-late', '-R', 'tap', 'a.js']);
+
+    assert.strictEqual(tap.code, 1);
+    assert(/^not ok \d+ Late starts work$/m.test(tap.stdout));
+    assert(tap.stdout.includes('# pass 1\n# fail 1\n'));
+
+    const spec = fx.run(['--fail-late', '-R', 'spec', 'a.js']);
+
+    assert.strictEqual(spec.code, 1);
+    assert(spec.stdout.includes('    1) starts work\n'));
+    assert(!/✓ starts work/.test(spec.stdout));
+  });
+
+  it('should fail the test in parallel mode', () => {
+    const args = ['--fail-late', '-p', '-j', '1', 'a.js', 'b.js'];
+    const {code, report} = fx.json(args);
+
+    assert.strictEqual(code, 2);
+    assert.strictEqual(report.stats.passes, 2);
+    assert.strictEqual(report.stats.failures, 2);
+    assert.deepStrictEqual(report.failures.map(test => test.title),
+                           ['starts work', 'starts work']);
+
+    assert.strictEqual(fx.run(['-p', '-j', '1', 'a.js', 'b.js']).code, 2);
+  });
+});
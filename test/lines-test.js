@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const {callSite} = require('../lib/util');
+const {fixture} = require('./util/cli');
+
+const CJS = [
+  '\'use strict\';',                            // 1
+  '',                                           // 2
+  'describe(\'A\', function() {',               // 3
+  '  it(\'one\', () => {});',                   // 4
+  '',                                           // 5
+  '  describe(\'B\', function() {',             // 6
+  '    it(\'two\', () => {});',                 // 7
+  '    it(\'three\', () => {}); it(\'four\', () => {});',
+  '  });',                                      // 9
+  '',                                           // 10
+  '  it.each([1, 2])(\'each %s\', (x) => {',    // 11
+  '    assert(x > 0);',                         // 12
+  '  });',                                      // 13
+  '',                                           // 14
+  '  it(',                                      // 15
+  '    \'split\',',                             // 16
+  '    function() {',                           // 17
+  '      // last',                              // 18
+  '    }',                                      // 19
+  '  );',                                       // 20
+  '});'                                         // 21
+];
+
+const ESM = [
+  'describe(\'C\', function() {',               // 1
+  '  it(\'five\', () => {});',                  // 2
+  '',                                           // 3
+  '  it(\'six\', () => {',                      // 4
+  '    // body',                                // 5
+  '  });',                                      // 6
+  '});'                                         // 7
+];
+
+function define(title, func) {
+  return callSite(define, func);
+}
+
+describe('Lines', function() {
+  const fx = fixture(this, {
+    'a.js': ['const assert = require(\'assert\');', ...CJS],
+    'b.mjs': ESM
+  });
+
+  const run = (...args) => {
+    const {code, report} = fx.json(args);
+    return [code, report.tests.map(test => test.title).sort()];
+  };
+
+  it('should find call sites', () => {
+    const loc = define('foo');
+
+    assert.strictEqual(loc.file, __filename);
+    assert.strictEqual(loc.line, 57);
+    assert.strictEqual(loc.column, 17);
+    assert.strictEqual(loc.end, 57);
+  });
+
+  it('should measure bodies from the source', () => {
+    const loc = define(
+      'foo',
+      () => {
+        // line 69
+      }
+    );
+
+    assert.strictEqual(loc.line, 66);
+    assert.strictEqual(loc.end, 70);
+  });
+
+  it('should select the innermost test', () => {
+    // Line numbers are offset by the `require` line.
+    assert.deepStrictEqual(run('a.js:5'), [0, ['one']]);
+    assert.deepStrictEqual(run('a.js:8'), [0, ['two']]);
+    assert.deepStrictEqual(run('a.js:9'), [0, ['three']]);
+    assert.deepStrictEqual(run('a.js:9:29'), [0, ['four']]);
+  });
+
+  it('should select whole suites', () => {
+    assert.deepStrictEqual(run('a.js:7'), [0, ['four', 'three', 'two']]);
+    assert.deepStrictEqual(run('a.js:10', 'a.js:5'),
+                           [0, ['four', 'one', 'three', 'two']]);
+  });
+
+  it('should select every row of an each-table', () => {
+    assert.deepStrictEqual(run('a.js:13'), [0, ['each 1', 'each 2']]);
+  });
+
+  it('should select multi-line calls', () => {
+    assert.deepStrictEqual(run('a.js:16'), [0, ['split']]);
+    assert.deepStrictEqual(run('a.js:20'), [0, ['split']]);
+  });
+
+  it('should select in ESM files', () => {
+    assert.deepStrictEqual(run('b.mjs:5'), [0, ['six']]);
+    assert.deepStrictEqual(run('b.mjs:2', 'a.js:5'), [0, ['five', 'one']]);
+  });
+
+  it('should fail on lines without tests', () => {
+    const {code, stdout} = fx.run(['a.js:40']);
+
+    assert.strictEqual(code, 1);
+    assert(stdout.includes('No test found at a.js:40.'));
+
+    assert.strictEqual(fx.run(['a.js:1']).code, 1);
+  });
+
+  it('should resolve paths', () => {
+    const file = fx.path('a.js');
+    assert.deepStrictEqual(run(`${file}:5`), [0, ['one']]);
+  });
+});
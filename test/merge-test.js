@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+describe('Merge', function() {
+  const fx = fixture(this, {
+    'a.js': [
+      'const assert = require(\'assert\');',
+      '',
+      'describe(\'A\', () => {',
+      '  it(\'one\', () => {});',
+      '  it(\'two\', () => {',
+      '    assert.strictEqual(1, 2);',
+      '  });',
+      '});'
+    ],
+    'b.js': [
+      'describe(\'B\', () => {',
+      '  describe(\'inner\', () => {',
+      '    it(\'three\', () => {});',
+      '    it.skip(\'four\', () => {});',
+      '  });',
+      '});'
+    ],
+    'bad/report.json': {}
+  });
+
+  before(() => {
+    fx.run(['-R', 'json:reports/a.json', 'a.js']);
+    fx.run(['-R', 'json:reports/b.json', 'b.js']);
+  });
+
+  it('should combine reports', () => {
+    const args = ['merge', '-R', 'json', 'reports/a.json', 'reports/b.json'];
+    const {code, stdout} = fx.run(args);
+    const report = JSON.parse(stdout);
+    const {stats} = report;
+
+    assert.strictEqual(code, 1);
+
+    assert.deepStrictEqual({
+      suites: stats.suites,
+      tests: stats.tests,
+      passes: stats.passes,
+      pending: stats.pending,
+      failures: stats.failures
+    }, {
+      suites: 3,
+      tests: 4,
+      passes: 2,
+      pending: 1,
+      failures: 1
+    });
+
+    assert.deepStrictEqual(report.tests.map(test => test.titlePath), [
+      ['A', 'one'],
+      ['A', 'two'],
+      ['B', 'inner', 'three'],
+      ['B', 'inner', 'four']
+    ]);
+
+    assert.deepStrictEqual(report.passes.map(test => test.fullTitle),
+                           ['A one', 'B inner three']);
+    assert.deepStrictEqual(report.pending.map(test => test.fullTitle),
+                           ['B inner four']);
+
+    const [failure] = report.failures;
+
+    assert.strictEqual(failure.fullTitle, 'A two');
+    assert.strictEqual(failure.file, fx.path('a.js'));
+    assert.strictEqual(failure.err.name, 'AssertionError');
+    assert.strictEqual(failure.err.operator, 'strictEqual');
+    assert.strictEqual(failure.err.actual, 1);
+    assert.strictEqual(failure.err.expected, 2);
+    assert(/1 !== 2/.test(failure.err.message));
+    assert(/a\.js:6:/.test(failure.err.stack));
+    assert(/assert\.strictEqual\(1, 2\);\n +\^$/.test(failure.err.frame));
+  });
+
+  it('should read directories', () => {
+    const {code, stdout} = fx.run(['merge', '-R', 'spec', 'reports']);
+
+    assert.strictEqual(code, 1);
+    assert(stdout.includes('  A\n    ✓ one\n    1) two\n'), stdout);
+    assert(stdout.includes('  B\n    inner\n      ✓ three\n      - four\n'),
+           stdout);
+    assert(stdout.includes('  2 passing'), stdout);
+    assert(stdout.includes('  1 pending'), stdout);
+    assert(stdout.includes('  1 failing'), stdout);
+    assert(stdout.includes('1 !== 2'), stdout);
+  });
+
+  it('should exit with the number of failures', () => {
+    assert.strictEqual(fx.run(['merge', 'reports/b.json']).code, 0);
+    assert.strictEqual(fx.run(['merge', 'reports', 'reports']).code, 2);
+  });
+
+  it('should reject invalid reports', () => {
+    const {code, stderr} = fx.run(['merge', 'bad/report.json']);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(stderr,
+      `Invalid report: ${fx.path('bad', 'report.json')}.\n`);
+  });
+});
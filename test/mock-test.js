@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('assert');
+const {mock} = require('../lib/bmocha');
+const {isEqual} = require('../lib/mock');
+
+const target = {
+  value: 1,
+  add(x) {
+    return this.value + x;
+  }
+};
+
+const original = target.add;
+
+describe('Mock', function() {
+  describe('fn()', function() {
+    it('should record calls', function() {
+      const self = {};
+      const spy = mock.fn((a, b) => a + b);
+
+      assert.strictEqual(spy.call(self, 1, 2), 3);
+      assert.strictEqual(spy(3, 4), 7);
+
+      assert.strictEqual(spy.mock.callCount, 2);
+      assert.strictEqual(spy.mock.calls[0].this, self);
+      assert.deepStrictEqual(spy.mock.calls[0].args, [1, 2]);
+      assert.strictEqual(spy.mock.lastCall.result, 7);
+    });
+
+    it('should record errors', function() {
+      const err = new Error('foo');
+      const spy = mock.fn();
+
+      spy.mock.throws(err);
+
+      assert.throws(() => spy(), err);
+      assert.strictEqual(spy.mock.lastCall.threw, true);
+      assert.strictEqual(spy.mock.lastCall.error, err);
+    });
+
+    it('should change implementations', function() {
+      const spy = mock.fn();
+
+      assert.strictEqual(spy(), undefined);
+
+      spy.mock.returns(1);
+
+      assert.strictEqual(spy(), 1);
+
+      spy.mock.reset();
+
+      assert.strictEqual(spy.mock.called, false);
+    });
+
+    it('should throw readable mismatches', function() {
+      const spy = mock.fn();
+
+      spy({ a: 1 }, 'b');
+
+      spy.mock.assertCalled(1);
+      spy.mock.assertCalledWith({ a: 1 }, 'b');
+
+      assert.throws(() => spy.mock.assertCalledWith({ a: 2 }, 'b'), {
+        code: 'ERR_ASSERTION',
+        operator: 'deepStrictEqual',
+        actual: [{ a: 1 }, 'b'],
+        expected: [{ a: 2 }, 'b']
+      });
+
+      assert.throws(() => spy.mock.assertNotCalled(), {
+        actual: 1,
+        expected: 0
+      });
+    });
+  });
+
+  describe('spyOn()', function() {
+    let spy = null;
+
+    beforeEach(() => {
+      spy = mock.spyOn(target, 'add');
+    });
+
+    it('should call through', function() {
+      assert.strictEqual(target.add, spy);
+      assert.strictEqual(target.add(2), 3);
+      spy.mock.assertCalledWith(2);
+    });
+
+    it('should restore after each test', function() {
+      spy.mock.restore();
+      assert.strictEqual(target.add, original);
+    });
+
+    it('should restore replaced values', function() {
+      mock.replace(target, 'value', 10);
+      mock.replace(target, 'extra', true);
+
+      assert.strictEqual(target.add(1), 11);
+      assert.strictEqual(target.extra, true);
+    });
+
+    after(() => {
+      assert.strictEqual(target.add, original);
+      assert.strictEqual(target.value, 1);
+      assert(!Object.prototype.hasOwnProperty.call(target, 'extra'));
+    });
+  });
+
+  describe('retries', function() {
+    this.retries(1);
+
+    let attempts = 0;
+    let spy = null;
+
+    beforeEach(() => {
+      spy = mock.spyOn(target, 'add');
+    });
+
+    it('should restore between attempts', function() {
+      attempts += 1;
+
+      assert.strictEqual(spy.mock.impl, original);
+
+      if (attempts === 1)
+        throw new Error('Retry.');
+    });
+
+    after(() => {
+      assert.strictEqual(attempts, 2);
+      assert.strictEqual(target.add, original);
+    });
+  });
+
+  describe('isEqual()', function() {
+    it('should compare values', function() {
+      assert(isEqual([1, { a: [2] }], [1, { a: [2] }]));
+      assert(isEqual(new Map([[1, 2]]), new Map([[1, 2]])));
+      assert(isEqual(Buffer.from('ab'), Buffer.from('ab')));
+      assert(!isEqual([1], ['1']));
+      assert(!isEqual({ a: 1 }, { a: 1, b: 2 }));
+      assert(!isEqual(Buffer.from('ab'), new Uint8Array([97, 98])));
+    });
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+// Timings and stacks vary from run to run.
+const VOLATILE = ['start', 'end', 'duration', 'speed', 'stack'];
+
+function normalize(text) {
+  return text.replace(/ \(\d+ms\)/g, '')
+             .replace(/^ +at .*\n/gm, '');
+}
+
+function strip(value) {
+  if (Array.isArray(value))
+    return value.map(strip);
+
+  if (value && typeof value === 'object') {
+    const out = {};
+
+    for (const key of Object.keys(value)) {
+      if (!VOLATILE.includes(key))
+        out[key] = strip(value[key]);
+    }
+
+    return out;
+  }
+
+  return value;
+}
+
+describe('Parallel', function() {
+  const fx = fixture(this, {
+    'a.js': [
+      'const assert = require(\'assert\');',
+      '',
+      'describe(\'A\', () => {',
+      '  it(\'one\', () => {});',
+      '',
+      '  it(\'two\', () => {',
+      '    assert.strictEqual(1, 2);',
+      '  });',
+      '',
+      '  it.skip(\'three\', () => {});',
+      '});'
+    ],
+    'b.js': [
+      'describe(\'B\', () => {',
+      '  before(() => {',
+      '    throw new Error(\'hook failed\');',
+      '  });',
+      '',
+      '  it(\'four\', () => {});',
+      '});',
+      '',
+      'describe(\'C\', () => {',
+      '  it(\'five\', () => {});',
+      '});'
+    ],
+    'only.js': [
+      'describe(\'D\', () => {',
+      '  it(\'six\', () => {});',
+      '  it.only(\'seven\', () => {});',
+      '});'
+    ]
+  });
+
+  it('should match serial spec output', () => {
+    const serial = fx.run(['a.js', 'b.js']);
+    const parallel = fx.run(['--parallel', 'a.js', 'b.js']);
+
+    assert.strictEqual(serial.code, 2, serial.stdout);
+    assert.strictEqual(parallel.code, 2, parallel.stdout);
+    assert.strictEqual(normalize(parallel.stdout), normalize(serial.stdout));
+  });
+
+  it('should match serial json output', () => {
+    const serial = fx.json(['a.js', 'b.js']);
+    const parallel = fx.json(['--parallel', '-j', '2', 'a.js', 'b.js']);
+
+    assert.strictEqual(parallel.code, serial.code);
+    assert.deepStrictEqual(strip(parallel.report), strip(serial.report));
+  });
+
+  it('should exit with the number of failures', () => {
+    assert.strictEqual(fx.run(['--parallel', 'a.js']).code, 1);
+    assert.strictEqual(fx.run(['--parallel', 'only.js']).code, 0);
+    assert.strictEqual(fx.run(['-p', '-j', '1', 'a.js', 'b.js']).code, 2);
+    assert.strictEqual(fx.run(['-p', '--bail', 'a.js', 'b.js']).code, 1);
+  });
+
+  it('should report hook failures', () => {
+    const {code, report} = fx.json(['--parallel', 'b.js']);
+
+    assert.strictEqual(code, 1);
+    assert.deepStrictEqual(report.failures.map(test => test.fullTitle),
+                           ['B "before all" hook']);
+    assert.strictEqual(report.failures[0].err.message, 'hook failed');
+    assert.deepStrictEqual(report.passes.map(test => test.fullTitle),
+                           ['C five']);
+  });
+
+  it('should scope .only to its file', () => {
+    const serial = fx.json(['a.js', 'only.js']);
+    const parallel = fx.json(['--parallel', 'a.js', 'only.js']);
+    const titles = ({report}) => report.tests.map(test => test.title);
+
+    assert.deepStrictEqual(titles(serial), ['seven']);
+    assert.deepStrictEqual(titles(parallel), ['one', 'two', 'three', 'seven']);
+
+    const forbid = fx.json(['--parallel', '--forbid-only', 'only.js']);
+
+    assert.strictEqual(forbid.code, 1);
+    assert.strictEqual(forbid.report.failures[0].err.message,
+                       '`.only` forbidden');
+  });
+});
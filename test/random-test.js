@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+const FILES = ['a.js', 'b.js', 'c.js'];
+
+function suite(name) {
+  const lines = [];
+
+  for (const child of ['x', 'y', 'z']) {
+    lines.push(`describe('${name}${child}', () => {`);
+
+    for (let i = 1; i <= 4; i++)
+      lines.push(`  it('${i}', () => {});`);
+
+    lines.push('});', '');
+  }
+
+  return lines;
+}
+
+describe('Random', function() {
+  const fx = fixture(this, {
+    'a.js': suite('a'),
+    'b.js': suite('b'),
+    'c.js': suite('c'),
+    'files/d.js': suite('d'),
+    'random.json': { random: 'files', seed: 1 }
+  });
+
+  const order = (args) => {
+    const {code, report} = fx.json([...args, ...FILES]);
+
+    assert.strictEqual(code, 0);
+
+    return report.tests.map(test => test.fullTitle);
+  };
+
+  let sorted = null;
+
+  before(() => {
+    sorted = order([]);
+  });
+
+  const suites = (titles) => {
+    const names = titles.map(title => title.split(' ')[0]);
+
+    return names.filter((name, i) => name !== names[i - 1]);
+  };
+
+  const files = titles => suites(titles).map(name => name[0]);
+
+  it('should replay an order from its seed', () => {
+    const first = order(['--random', '--seed', '1']);
+
+    assert.deepStrictEqual(order(['--random', '--seed', '1']), first);
+    assert.notDeepStrictEqual(first, sorted);
+    assert.deepStrictEqual(first.slice().sort(), sorted);
+
+    const seeds = ['2', '3', '4', '5'].map((seed) => {
+      return order(['--random', '--seed', seed]);
+    });
+
+    assert(seeds.some(titles => String(titles) !== String(first)));
+  });
+
+  it('should print the seed', () => {
+    const {code, stdout} = fx.run(['--random', ...FILES]);
+
+    assert.strictEqual(code, 0, stdout);
+
+    const m = /^ {2}randomized tests \(--seed (\d+)\)$/m.exec(stdout);
+
+    assert(m, stdout);
+
+    const seeded = fx.run(['--random', '--seed', m[1], ...FILES]);
+
+    assert.strictEqual(seeded.stdout.replace(/ \(\d+ms\)/g, ''),
+                       stdout.replace(/ \(\d+ms\)/g, ''));
+  });
+
+  it('should only shuffle files', () => {
+    const titles = order(['--random=files', '--seed', '1']);
+
+    assert.notDeepStrictEqual(files(titles), files(sorted));
+
+    // Everything within a file keeps its order.
+    for (const name of ['a', 'b', 'c']) {
+      assert.deepStrictEqual(titles.filter(title => title[0] === name),
+                             sorted.filter(title => title[0] === name));
+    }
+  });
+
+  it('should keep tests in order within suites', () => {
+    const titles = order(['--random=suites', '--seed', '1']);
+
+    assert.notDeepStrictEqual(suites(titles), suites(sorted));
+
+    for (const name of suites(sorted)) {
+      const within = titles.filter(title => title.startsWith(name + ' '));
+
+      assert.deepStrictEqual(within, [1, 2, 3, 4].map(i => `${name} ${i}`));
+    }
+  });
+
+  it('should only take a mode after an equals sign', () => {
+    // `files` is the directory here.
+    const {code, report} = fx.json(['--random', 'files']);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(report.tests.length, 12);
+    assert(report.tests.every(test => test.fullTitle[0] === 'd'));
+
+    assert.deepStrictEqual(order(['--config', 'random.json']),
+                           order(['--random=files', '--seed', '1']));
+
+    const invalid = fx.run(['--random=nope', 'a.js']);
+
+    assert.strictEqual(invalid.code, 1);
+    assert(invalid.stderr.includes('Invalid random mode: nope.'));
+  });
+
+  it('should reject invalid seeds', () => {
+    for (const seed of ['-1', 'abc', '4294967296']) {
+      const {code, stderr} = fx.run(['--random', '--seed', seed, 'a.js']);
+
+      assert.strictEqual(code, 1);
+      assert.strictEqual(stderr, `Invalid seed: ${seed}.\n`);
+    }
+  });
+});
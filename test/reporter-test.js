@@ -0,0 +1,256 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {fixture} = require('./util/cli');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const REPORTER = [
+  'constructor(runner) {',
+  '  runner.on(\'pass\', test => console.log(`pass: ${test.title}`));',
+  '  runner.on(\'end\', () => console.log(\'end\'));',
+  '}'
+];
+
+describe('Reporters', function() {
+  const fx = fixture(this, {
+    'test.js': ['it(\'works\', () => {});'],
+    'local.js': [
+      'module.exports = class {',
+      ...REPORTER,
+      '};'
+    ],
+    'node_modules/cjs-reporter/package.json': {
+      name: 'cjs-reporter',
+      keywords: ['mocha-reporter'],
+      description: 'a commonjs reporter'
+    },
+    'node_modules/cjs-reporter/index.js': [
+      'module.exports = class {',
+      ...REPORTER,
+      '};'
+    ],
+    'node_modules/@scope/esm-reporter/package.json': {
+      name: '@scope/esm-reporter',
+      type: 'module',
+      keywords: ['bmocha-reporter'],
+      exports: {
+        '.': { import: './index.js' }
+      }
+    },
+    'node_modules/@scope/esm-reporter/index.js': [
+      'export default class {',
+      ...REPORTER,
+      '}'
+    ]
+  });
+
+  for (const name of ['./local.js', 'cjs-reporter', '@scope/esm-reporter']) {
+    it(`should load ${name}`, () => {
+      const {code, stdout} = fx.run(['-R', name, 'test.js']);
+
+      assert.strictEqual(code, 0, stdout);
+      assert.strictEqual(stdout, 'pass: works\nend\n');
+    });
+  }
+
+  it('should reject unknown reporters', () => {
+    const {code, stderr} = fx.run(['-R', 'nope', 'test.js']);
+
+    assert.strictEqual(code, 1);
+    assert(stderr.includes('Unknown reporter: nope.'));
+  });
+
+  it('should list installed reporters', () => {
+    const {stdout} = fx.run(['--list-reporters']);
+
+    assert(stdout.includes('    @scope/esm-reporter - third-party reporter\n'));
+    assert(stdout.includes('    cjs-reporter - a commonjs reporter\n'));
+  });
+});
+
+describe('Runner', function() {
+  const fx = fixture(this, {
+    'record.js': [
+      `const {Runner} = require(${JSON.stringify(ROOT)});`,
+      'const {constants} = Runner;',
+      '',
+      'module.exports = class {',
+      '  constructor(runner, options) {',
+      '    const log = (...args) => console.log(args.join(\' \'));',
+      '    const on = (name, func) => runner.on(constants[name], func);',
+      '',
+      '    log(\'options\', JSON.stringify(options.reporterOptions));',
+      '',
+      '    on(\'EVENT_RUN_BEGIN\', () => log(\'start\', runner.state));',
+      '    on(\'EVENT_SUITE_BEGIN\', s => log(\'suite\', s.fullTitle()));',
+      '    on(\'EVENT_SUITE_END\', s => log(\'suite end\', s.fullTitle()));',
+      '    on(\'EVENT_TEST_BEGIN\', t => log(\'test\', t.fullTitle()));',
+      '    on(\'EVENT_TEST_PASS\', t => log(\'pass\', t.fullTitle()));',
+      '    on(\'EVENT_TEST_FAIL\', (t, e) => log(\'fail\', t.fullTitle(), e.message));',
+      '    on(\'EVENT_TEST_PENDING\', t => log(\'pending\', t.fullTitle()));',
+      '    on(\'EVENT_TEST_END\', t => log(\'test end\', t.fullTitle()));',
+      '',
+      '    on(\'EVENT_RUN_END\', () => {',
+      '      const {passes, pending, failures} = runner.stats;',
+      '      log(\'end\', runner.state, passes, pending, failures);',
+      '    });',
+      '  }',
+      '',
+      '  done(failures, callback) {',
+      '    setTimeout(() => {',
+      '      console.log(`done ${failures}`);',
+      '      callback();',
+      '    }, 10);',
+      '  }',
+      '};'
+    ],
+    'test.js': [
+      'describe(\'A\', () => {',
+      '  it(\'passes\', () => {});',
+      '',
+      '  it(\'fails\', () => {',
+      '    throw new Error(\'boom\');',
+      '  });',
+      '',
+      '  it.skip(\'skips\', () => {});',
+      '',
+      '  it(\'skips later\', function() {',
+      '    this.skip();',
+      '  });',
+      '});',
+      '',
+      'describe(\'B\', () => {',
+      '  before(() => {',
+      '    throw new Error(\'hook\');',
+      '  });',
+      '',
+      '  it(\'never runs\', () => {});',
+      '});'
+    ]
+  });
+
+  it('should emit mocha events in order', () => {
+    const args = ['-R', './record.js', '-O', 'a=1', 'test.js'];
+    const {code, stdout} = fx.run(args);
+
+    assert.strictEqual(code, 2, stdout);
+    assert.strictEqual(stdout, [
+      'options {"a":"1"}',
+      'start running',
+      'suite ',
+      'suite A',
+      'test A passes',
+      'pass A passes',
+      'test end A passes',
+      'test A fails',
+      'fail A fails boom',
+      'test end A fails',
+      'pending A skips',
+      'test end A skips',
+      'test A skips later',
+      'pending A skips later',
+      'test end A skips later',
+      'suite end A',
+      'suite B',
+      'fail B "before all" hook hook',
+      'suite end B',
+      'suite end ',
+      'end stopped 1 2 2',
+      'done 2',
+      ''
+    ].join('\n'));
+  });
+
+  it('should emit the same events in parallel mode', () => {
+    const args = ['-R', './record.js', 'test.js'];
+    const serial = fx.run(args);
+    const parallel = fx.run(['--parallel', ...args]);
+
+    assert.strictEqual(parallel.code, 2, parallel.stdout);
+    assert.strictEqual(parallel.stdout, serial.stdout);
+  });
+});
+
+describe('Multiple Reporters', function() {
+  const fx = fixture(this, {
+    'test.js': [
+      'it(\'works\', () => {});',
+      '',
+      'it(\'fails\', () => {',
+      '  throw new Error(\'boom\');',
+      '});'
+    ],
+    'rc/.bmocharc.json': {
+      reporter: [
+        'dot',
+        { name: 'xunit', output: 'reports/junit.xml',
+          options: { suiteName: 'CI' } }
+      ]
+    }
+  });
+
+  const suiteName = (file) => {
+    const m = /^<testsuite name="([^"]*)"/.exec(fx.read(file));
+
+    assert(m, file);
+
+    return m[1];
+  };
+
+  const check = (dir, args) => {
+    const {code, stdout} = fx.run([
+      '-R', 'spec',
+      '-R', `json:${dir}/report.json`,
+      '-R', `xunit:${dir}/a.xml`,
+      '-O', 'suiteName=A',
+      '-R', `xunit:${dir}/b.xml`,
+      '-R', `tap:${dir}/tap.txt`,
+      ...args,
+      'test.js'
+    ]);
+
+    assert.strictEqual(code, 1, stdout);
+    assert(stdout.startsWith('  ✓ works\n  1) fails\n'), stdout);
+
+    const report = JSON.parse(fx.read(`${dir}/report.json`));
+
+    assert.strictEqual(report.stats.passes, 1);
+    assert.strictEqual(report.stats.failures, 1);
+
+    // Options only apply to the reporter before them.
+    assert.strictEqual(suiteName(`${dir}/a.xml`), 'A');
+    assert.strictEqual(suiteName(`${dir}/b.xml`), 'Mocha Tests');
+
+    const tap = fx.read(`${dir}/tap.txt`);
+
+    assert(/^ok \d+ works$/m.test(tap), tap);
+    assert(/^not ok \d+ fails$/m.test(tap), tap);
+  };
+
+  it('should write each reporter to its own file', () => {
+    check('serial', []);
+  });
+
+  it('should write each reporter in parallel mode', () => {
+    check('parallel', ['--parallel']);
+  });
+
+  it('should let the command line replace configured reporters', () => {
+    const cwd = fx.path('rc');
+    const {stdout} = fx.run(['-R', 'spec', '../test.js'], { cwd });
+
+    assert(stdout.startsWith('  ✓ works\n'), stdout);
+    assert(!fx.exists('rc/reports/junit.xml'));
+  });
+
+  it('should read reporters from config files', () => {
+    const cwd = fx.path('rc');
+    const {code, stdout} = fx.run(['../test.js'], { cwd });
+
+    assert.strictEqual(code, 1, stdout);
+    assert(!stdout.includes('✓'), stdout);
+    assert.strictEqual(suiteName('rc/reports/junit.xml'), 'CI');
+  });
+});
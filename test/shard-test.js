@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+const FILES = ['a.js', 'b.js', 'c.js', 'd.js'];
+
+function timings(durations) {
+  return {
+    tests: Object.keys(durations).map(file => ({
+      file: `/elsewhere/test/${file}`,
+      duration: durations[file]
+    }))
+  };
+}
+
+describe('Sharding', function() {
+  const files = {};
+
+  for (const file of FILES) {
+    const name = file.slice(0, -3);
+
+    files[file] = [
+      `describe('${name}', () => {`,
+      '  it(\'one\', () => {});',
+      '  it(\'two\', () => {});',
+      '});'
+    ];
+  }
+
+  files['slow.json'] = timings({ 'a.js': 300, 'b.js': 100, 'c.js': 100 });
+  files['zero.json'] = timings({ 'a.js': 0, 'b.js': 0, 'c.js': 0, 'd.js': 0 });
+
+  const fx = fixture(this, files);
+
+  const shard = (args) => {
+    const {code, report} = fx.json([...args, ...FILES]);
+
+    assert.strictEqual(code, 0);
+
+    return report.tests.map(test => test.fullTitle);
+  };
+
+  const suites = (args) => {
+    const titles = shard(args).map(title => title.split(' ')[0]);
+    return [...new Set(titles)];
+  };
+
+  it('should deal out files', () => {
+    assert.deepStrictEqual(suites(['--shard', '1/2']), ['a', 'c']);
+    assert.deepStrictEqual(suites(['--shard', '2/2']), ['b', 'd']);
+    assert.deepStrictEqual(suites(['--shard', '4/5']), ['d']);
+
+    const empty = fx.run(['--shard', '5/5', ...FILES]);
+
+    assert.strictEqual(empty.code, 0);
+    assert.strictEqual(empty.stderr, 'Shard 5/5 has no test files.\n');
+  });
+
+  it('should split tests by title', () => {
+    const seen = [];
+
+    for (let i = 1; i <= 3; i++) {
+      const args = ['--shard', `${i}/3`, '--shard-strategy', 'tests'];
+      const titles = shard(args);
+
+      assert.deepStrictEqual(shard(args), titles);
+
+      seen.push(...titles);
+    }
+
+    assert.deepStrictEqual(seen.sort(), [
+      'a one', 'a two',
+      'b one', 'b two',
+      'c one', 'c two',
+      'd one', 'd two'
+    ]);
+  });
+
+  it('should balance files by timing', () => {
+    const args = ['--shard-timings', 'slow.json'];
+
+    // d.js is missing and assumed to take the average.
+    assert.deepStrictEqual(suites(['--shard', '1/2', ...args]), ['a']);
+    assert.deepStrictEqual(suites(['--shard', '2/2', ...args]),
+                           ['b', 'c', 'd']);
+  });
+
+  it('should spread files without durations', () => {
+    const args = ['--shard-timings', 'zero.json'];
+
+    assert.deepStrictEqual(suites(['--shard', '1/2', ...args]), ['a', 'c']);
+    assert.deepStrictEqual(suites(['--shard', '2/2', ...args]), ['b', 'd']);
+  });
+
+  it('should print the shard', () => {
+    const tests = [
+      [['--shard', '2/3'], '  shard 2/3 (files)\n'],
+      [['--shard', '1/2', '--shard-strategy', 'tests'], '  shard 1/2 (tests)\n'],
+      [['--shard', '1/2', '--shard-timings', 'zero.json'],
+       '  shard 1/2 (timing)\n']
+    ];
+
+    for (const [args, line] of tests) {
+      const {code, stdout} = fx.run([...args, ...FILES]);
+
+      assert.strictEqual(code, 0, stdout);
+      assert(stdout.includes(line), stdout);
+    }
+  });
+});
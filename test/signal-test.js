@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+const TIMEOUT = /^Timeout of 20ms exceeded\. /;
+
+describe('Signal', function() {
+  const fx = fixture(this, {
+    // Reads every signal as it stands once the run is over.
+    'record.js': [
+      'const fs = require(\'fs\');',
+      'const signals = {};',
+      '',
+      'process.on(\'exit\', () => {',
+      '  const out = {};',
+      '',
+      '  for (const name of Object.keys(signals)) {',
+      '    const {aborted, reason} = signals[name];',
+      '',
+      '    out[name] = {',
+      '      aborted,',
+      '      reason: reason ? reason.message : null',
+      '    };',
+      '  }',
+      '',
+      '  fs.writeFileSync(\'signals.json\', JSON.stringify(out));',
+      '});',
+      '',
+      'module.exports = (name, signal) => {',
+      '  signals[name] = signal;',
+      '};'
+    ],
+    'timeout.js': [
+      'const record = require(\'./record\');',
+      '',
+      'describe(\'Timeout\', function() {',
+      '  let attempt = 0;',
+      '',
+      '  before(function() {',
+      '    record(\'before\', this.signal);',
+      '  });',
+      '',
+      '  it(\'hangs\', function() {',
+      '    record(\'hangs\', this.signal);',
+      '    this.timeout(20);',
+      '    return new Promise(() => {});',
+      '  });',
+      '',
+      '  it(\'retries\', function() {',
+      '    attempt += 1;',
+      '    record(`attempt ${attempt}`, this.signal);',
+      '    this.retries(1);',
+      '    this.timeout(20);',
+      '',
+      '    if (attempt === 1)',
+      '      return new Promise(() => {});',
+      '',
+      '    return undefined;',
+      '  });',
+      '',
+      '  it(\'passes\', function() {',
+      '    record(\'passes\', this.signal);',
+      '  });',
+      '});'
+    ],
+    'hook.js': [
+      'const record = require(\'./record\');',
+      '',
+      'describe(\'Hook\', function() {',
+      '  this.timeout(20);',
+      '',
+      '  beforeEach(function() {',
+      '    record(\'hook\', this.signal);',
+      '    return new Promise(() => {});',
+      '  });',
+      '',
+      '  it(\'never runs\', () => {});',
+      '});'
+    ],
+    'bail.js': [
+      'const record = require(\'./record\');',
+      '',
+      'describe(\'Bail\', function() {',
+      '  it.concurrent(\'fails\', async function() {',
+      '    record(\'fails\', this.signal);',
+      '    await new Promise(resolve => setTimeout(resolve, 10));',
+      '    throw new Error(\'boom\');',
+      '  });',
+      '',
+      '  it.concurrent(\'waits\', function() {',
+      '    record(\'waits\', this.signal);',
+      '',
+      '    return new Promise((resolve, reject) => {',
+      '      this.signal.addEventListener(\'abort\', () => {',
+      '        reject(this.signal.reason);',
+      '      });',
+      '    });',
+      '  });',
+      '});'
+    ]
+  });
+
+  const signals = (args) => {
+    const {code, stdout} = fx.run(['-R', 'dot', ...args]);
+    return { code, stdout, signals: JSON.parse(fx.read('signals.json')) };
+  };
+
+  it('should abort a test which times out', () => {
+    const {code, stdout, signals: s} = signals(['timeout.js']);
+
+    assert.strictEqual(code, 1, stdout);
+    assert.deepStrictEqual(s.before, { aborted: false, reason: null });
+    assert.deepStrictEqual(s.passes, { aborted: false, reason: null });
+    assert.strictEqual(s.hangs.aborted, true);
+    assert(TIMEOUT.test(s.hangs.reason), s.hangs.reason);
+  });
+
+  it('should give each retry a fresh signal', () => {
+    const {signals: s} = signals(['timeout.js']);
+
+    assert.strictEqual(s['attempt 1'].aborted, true);
+    assert(TIMEOUT.test(s['attempt 1'].reason), s['attempt 1'].reason);
+    assert.deepStrictEqual(s['attempt 2'], { aborted: false, reason: null });
+  });
+
+  it('should abort a hook which times out', () => {
+    const {code, stdout, signals: s} = signals(['hook.js']);
+
+    assert.strictEqual(code, 1, stdout);
+    assert.strictEqual(s.hook.aborted, true);
+    assert(TIMEOUT.test(s.hook.reason), s.hook.reason);
+  });
+
+  it('should abort tests in flight on bail', () => {
+    const {code, stdout, signals: s} = signals(['--bail', 'bail.js']);
+
+    assert.strictEqual(code, 1, stdout);
+    assert.deepStrictEqual(s.fails, {
+      aborted: true,
+      reason: 'Test run bailed.'
+    });
+    assert.deepStrictEqual(s.waits, {
+      aborted: true,
+      reason: 'Test run bailed.'
+    });
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {fixture} = require('./util/cli');
+
+const ROOT = path.resolve(__dirname, '..');
+const SNAP = path.join('__snapshots__', 'test.js.snap');
+
+const TEST = [
+  `const {assert} = require(${JSON.stringify(ROOT)});`,
+  '',
+  'describe(\'Parser\', function() {',
+  '  it(\'should parse\', function() {',
+  '    this.snapshot({ op: \'+\', args: [1, 2] });',
+  '  });',
+  '',
+  '  it(\'should parse (arrow)\', () => {',
+  '    assert.snapshot(process.env.VALUE || \'one\', \'hint\');',
+  '  });',
+  '});'
+];
+
+describe('Snapshots', function() {
+  const fx = fixture(this, { 'test.js': TEST });
+
+  const run = (args, env) => {
+    return fx.run(['test.js', ...args], { env });
+  };
+
+  const read = () => {
+    const exports = {};
+
+    new Function('exports', fx.read(SNAP))(exports);
+
+    return exports;
+  };
+
+  it('should write new snapshots', () => {
+    const {code, stdout} = run([]);
+
+    assert.strictEqual(code, 0, stdout);
+    assert(stdout.includes('Snapshots: 2 written'), stdout);
+
+    assert.deepStrictEqual(read(), {
+      'Parser should parse 1': [
+        '',
+        '{',
+        '  args: [',
+        '    1,',
+        '    2',
+        '  ],',
+        '  op: \'+\'',
+        '}',
+        ''
+      ].join('\n'),
+      'Parser should parse (arrow): hint 1': '\n\'one\'\n'
+    });
+
+    const second = run([]);
+
+    assert.strictEqual(second.code, 0, second.stdout);
+    assert(!second.stdout.includes('Snapshots:'), second.stdout);
+  });
+
+  it('should fail on mismatch', () => {
+    const before = fx.read(SNAP);
+    const {code, stdout} = run([], { VALUE: 'two' });
+
+    assert.strictEqual(code, 1, stdout);
+    assert(stdout.includes('1 passing'), stdout);
+    assert(stdout.includes('1 failing'), stdout);
+    assert(stdout.includes(
+      'Snapshot `Parser should parse (arrow): hint 1` mismatched.'), stdout);
+    assert(stdout.includes('\'two\''), stdout);
+    assert.strictEqual(fx.read(SNAP), before);
+  });
+
+  it('should update mismatched snapshots', () => {
+    const {code, stdout} = run(['--update-snapshots'], { VALUE: 'two' });
+
+    assert.strictEqual(code, 0, stdout);
+    assert(stdout.includes('Snapshots: 1 updated'), stdout);
+    assert.strictEqual(read()['Parser should parse (arrow): hint 1'],
+                       '\n\'two\'\n');
+  });
+
+  it('should list and remove obsolete snapshots', () => {
+    fx.write('test.js', TEST.slice(0, 7).concat('});'));
+
+    const listed = run([]);
+
+    assert.strictEqual(listed.code, 0, listed.stdout);
+    assert(listed.stdout.includes('1 obsolete snapshot(s)'), listed.stdout);
+    assert(listed.stdout.includes(
+      `    ${SNAP}\n`
+      + '      Parser should parse (arrow): hint 1\n'), listed.stdout);
+    assert.strictEqual(Object.keys(read()).length, 2);
+
+    const removed = run(['--update-snapshots']);
+
+    assert.strictEqual(removed.code, 0, removed.stdout);
+    assert(removed.stdout.includes('Snapshots: 1 removed'), removed.stdout);
+    assert.deepStrictEqual(Object.keys(read()), ['Parser should parse 1']);
+  });
+
+  it('should keep snapshots in parallel mode', () => {
+    const args = ['other.js', '--parallel'];
+    const other = path.join('__snapshots__', 'other.js.snap');
+
+    fx.write('test.js', TEST);
+    fx.write('other.js', TEST);
+
+    const written = run(args);
+
+    assert.strictEqual(written.code, 0, written.stdout);
+    assert(written.stdout.includes('Snapshots: 3 written'), written.stdout);
+
+    const before = [fx.read(SNAP), fx.read(other)];
+    const updated = run([...args, '--update-snapshots']);
+
+    assert.strictEqual(updated.code, 0, updated.stdout);
+    assert(!updated.stdout.includes('Snapshots:'), updated.stdout);
+    assert.deepStrictEqual([fx.read(SNAP), fx.read(other)], before);
+
+    fx.write('test.js', TEST.slice(0, 7).concat('});'));
+
+    const listed = run(args);
+
+    assert.strictEqual(listed.code, 0, listed.stdout);
+    assert(listed.stdout.includes('1 obsolete snapshot(s)'), listed.stdout);
+    assert(listed.stdout.includes(
+      `    ${SNAP}\n`
+      + '      Parser should parse (arrow): hint 1\n'), listed.stdout);
+
+    const removed = run([...args, '--update-snapshots']);
+
+    assert.strictEqual(removed.code, 0, removed.stdout);
+    assert(removed.stdout.includes('Snapshots: 1 removed'), removed.stdout);
+    assert.deepStrictEqual(Object.keys(read()), ['Parser should parse 1']);
+    assert.strictEqual(fx.read(other), before[1]);
+  });
+});
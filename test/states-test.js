@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const {fixture} = require('./util/cli');
+
+describe('States', function() {
+  it.skip('should skip with a reason', () => {
+    throw new Error('Should not run.');
+  }, 'not implemented');
+
+  it('should skip at runtime with a reason', function() {
+    this.skip('skipped at runtime');
+    throw new Error('Should not run.');
+  });
+
+  it.todo('should be written later');
+
+  it.fails('should fail as expected', () => {
+    assert.strictEqual(1, 2);
+  });
+
+  it.fails('should fail as expected (async)', async () => {
+    throw new Error('Expected.');
+  });
+
+  it.skipIf(true)('should skip if true', () => {
+    throw new Error('Should not run.');
+  });
+
+  it.skipIf(false)('should run if false', () => {});
+
+  it.runIf(false, 'custom reason')('should skip unless true', () => {
+    throw new Error('Should not run.');
+  });
+
+  it.runIf(true)('should run if true', () => {});
+
+  describe.skipIf(true)('Skipped If', function() {
+    it('should not run', () => {
+      throw new Error('Should not run.');
+    });
+  });
+
+  describe.skip('Skipped', function() {
+    it('should inherit the reason', () => {
+      throw new Error('Should not run.');
+    });
+  }, 'whole suite');
+});
+
+describe('State Counts', function() {
+  const fx = fixture(this, {
+    'test.js': [
+      'it(\'passes\', () => {});',
+      'it.skip(\'skips\', () => {});',
+      'it.todo(\'todo\');',
+      '',
+      'it.fails(\'fails\', () => {',
+      '  setTimeout(() => Promise.reject(new Error(\'late\')), 20);',
+      '  throw new Error(\'expected\');',
+      '});',
+      '',
+      'it(\'waits\', done => setTimeout(done, 60));'
+    ]
+  });
+
+  const counts = ({stats}) => ({
+    passes: stats.passes,
+    pending: stats.pending,
+    todo: stats.todo,
+    failures: stats.failures,
+    expectedFailures: stats.expectedFailures
+  });
+
+  it('should count each test once', () => {
+    const {code, report} = fx.json(['--warn-late', 'test.js']);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(report.stats.tests, 5);
+    assert.deepStrictEqual(counts(report), {
+      passes: 2,
+      pending: 1,
+      todo: 1,
+      failures: 0,
+      expectedFailures: 1
+    });
+  });
+
+  it('should move late failures out of their bucket', () => {
+    const {code, report} = fx.json(['--fail-late', 'test.js']);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(report.stats.tests, 5);
+    assert.deepStrictEqual(counts(report), {
+      passes: 2,
+      pending: 1,
+      todo: 1,
+      failures: 1,
+      expectedFailures: 0
+    });
+  });
+});
+
+describe('Skip Reasons', function() {
+  const fx = fixture(this, {
+    'test.js': [
+      'it.skipIf(true)(\'a\', () => {});',
+      'it.skipIf(true, \'no fs\')(\'b\', () => {});',
+      'it.runIf(false)(\'c\', () => {});',
+      'it.runIf(false, \'js backend\')(\'d\', () => {});',
+      '',
+      'describe.skipIf(true)(\'E\', () => {',
+      '  it(\'f\', () => {});',
+      '});'
+    ]
+  });
+
+  it('should only give the reason it was given', () => {
+    const {code, stdout} = fx.run(['-R', 'tap', 'test.js']);
+    const skips = stdout.match(/# SKIP .*$/gm);
+
+    assert.strictEqual(code, 0, stdout);
+    assert.deepStrictEqual(skips, [
+      '# SKIP -',
+      '# SKIP no fs',
+      '# SKIP -',
+      '# SKIP js backend',
+      '# SKIP -'
+    ]);
+  });
+});
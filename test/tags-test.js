@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('assert');
+const {parseTags} = require('../lib/util');
+
+describe('Tags', { tags: ['unit'] }, function() {
+  it('should inherit tags', function() {
+    assert.deepStrictEqual(this.runnable.tags, ['unit']);
+  });
+
+  it('should merge tags', { tags: ['@slow', 'unit'] }, function() {
+    assert.deepStrictEqual(this.runnable.tags, ['unit', 'slow']);
+  });
+
+  it.each([1, 2])('should tag rows (%d)', { tags: 'each' }, function(n) {
+    assert.deepStrictEqual(this.runnable.tags, ['unit', 'each']);
+  });
+
+  it.skip('should skip with options', { tags: ['slow'] }, () => {
+    throw new Error('Should not run.');
+  }, 'reason');
+
+  it('should parse expressions', () => {
+    const match = parseTags('unit and not (slow || flaky)');
+
+    assert.strictEqual(match(['unit']), true);
+    assert.strictEqual(match(['unit', 'slow']), false);
+    assert.strictEqual(match(['unit', 'flaky']), false);
+    assert.strictEqual(match(['slow']), false);
+
+    assert.strictEqual(parseTags('@a OR b')(['b']), true);
+    assert.strictEqual(parseTags('!a')([]), true);
+  });
+
+  it('should reject bad expressions', () => {
+    for (const expr of ['', 'a and', '(a', 'a b', 'a & b', 'not'])
+      assert.throws(() => parseTags(expr), /Invalid tag expression/);
+  });
+});
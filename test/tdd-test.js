@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('assert');
+
+suite('TDD 1', function() {
+  let x = 0;
+
+  suiteSetup(() => {
+    x = 1;
+  });
+
+  setup(() => {
+    x += 1;
+  });
+
+  teardown(() => {
+    x += 1;
+  });
+
+  test('should succeed', () => {
+    assert.strictEqual(x, 2);
+  });
+
+  suite('TDD 2', function() {
+    test('should run setup and teardown', () => {
+      assert.strictEqual(x, 4);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+'use strict';
+
+const assert = require('assert');
+const cp = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/*
+ * Constants
+ */
+
+const BIN = path.resolve(__dirname, '..', '..', 'bin', 'bmocha');
+
+/*
+ * CLI
+ */
+
+function bmocha(args, options = {}) {
+  assert(Array.isArray(args));
+
+  const env = Object.assign({}, process.env);
+
+  // Keep the outer run's settings out of it.
+  delete env.BMOCHA_OPTIONS;
+
+  Object.assign(env, options.env);
+
+  const ps = cp.spawnSync(process.execPath, [BIN, ...args], {
+    cwd: options.cwd,
+    env,
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  if (ps.error)
+    throw ps.error;
+
+  return {
+    code: ps.status,
+    stdout: ps.stdout,
+    stderr: ps.stderr
+  };
+}
+
+function json(args, options) {
+  const {code, stdout, stderr} = bmocha(['-R', 'json', ...args], options);
+
+  let report = null;
+
+  try {
+    report = JSON.parse(stdout);
+  } catch (e) {
+    throw new Error(`Bad report (${code}): ${stdout}${stderr}`);
+  }
+
+  return { code, report, stderr };
+}
+
+/**
+ * Fixture
+ */
+
+class Fixture {
+  constructor(files = {}) {
+    assert(files && typeof files === 'object');
+
+    this.files = files;
+    this.dir = null;
+  }
+
+  open() {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmocha-'));
+
+    for (const name of Object.keys(this.files))
+      this.write(name, this.files[name]);
+
+    return this;
+  }
+
+  close() {
+    if (this.dir) {
+      rmdir(this.dir);
+      this.dir = null;
+    }
+
+    return this;
+  }
+
+  path(...names) {
+    assert(this.dir, 'Fixture is not open.');
+    return path.join(this.dir, ...names);
+  }
+
+  // Arrays are lines, objects are JSON.
+  write(name, data) {
+    const file = this.path(name);
+
+    if (Array.isArray(data))
+      data = data.join('\n') + '\n';
+    else if (typeof data !== 'string')
+      data = JSON.stringify(data, null, 2) + '\n';
+
+    mkdirp(path.dirname(file));
+
+    fs.writeFileSync(file, data);
+  }
+
+  read(name) {
+    return fs.readFileSync(this.path(name), 'utf8');
+  }
+
+  exists(name) {
+    return fs.existsSync(this.path(name));
+  }
+
+  run(args, options) {
+    return bmocha(args, Object.assign({ cwd: this.dir }, options));
+  }
+
+  json(args, options) {
+    return json(args, Object.assign({ cwd: this.dir }, options));
+  }
+}
+
+/*
+ * API
+ */
+
+function fixture(suite, files) {
+  const fx = new Fixture(files);
+
+  // Every test spawns at least one process.
+  suite.timeout(20000);
+
+  before(() => {
+    fx.open();
+  });
+
+  after(() => {
+    fx.close();
+  });
+
+  return fx;
+}
+
+/*
+ * Helpers
+ */
+
+function mkdirp(dir) {
+  try {
+    fs.mkdirSync(dir, 0o755);
+  } catch (e) {
+    if (e.code === 'EEXIST')
+      return;
+
+    if (e.code !== 'ENOENT' || path.dirname(dir) === dir)
+      throw e;
+
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir, 0o755);
+  }
+}
+
+function rmdir(dir) {
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+
+    if (fs.lstatSync(file).isDirectory())
+      rmdir(file);
+    else
+      fs.unlinkSync(file);
+  }
+
+  fs.rmdirSync(dir);
+}
+
+/*
+ * Expose
+ */
+
+exports.bmocha = bmocha;
+exports.json = json;
+exports.Fixture = Fixture;
+exports.fixture = fixture;